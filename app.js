@@ -5,13 +5,27 @@ const dotenv = require('dotenv');
 const cookieParser = require('cookie-parser');
 const connectDB = require('./config/db');
 const { geocodeAddress, searchHealthcareFacilities, getFacilityDetails } = require('./map-integration');
+const { hybridSearch, getHybridFacilityDetails } = require('./utils/facilitySearch');
+const { startSavedSearchAlerts } = require('./utils/savedSearchAlerts');
+const { optionalAuth } = require('./middleware/auth');
+const { subscribe } = require('./controllers/subscriberController');
 // Import the API functions
 const PORT = process.env.PORT || 3000;
 // Load env vars
 dotenv.config();
+// Behind a reverse proxy req.ip is the proxy's address, so per-IP limits (e.g. the contact form)
+// would throttle every visitor together. TRUST_PROXY takes Express's trust proxy values: "true",
+// a hop count such as "1", or addresses/subnets such as "loopback" or "10.0.0.0/8". Unset means
+// the app is reached directly.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
 // Middleware
 // Connect to database
 connectDB();
+// Re-run saved searches periodically and notify users about new matches
+startSavedSearchAlerts();
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -20,61 +34,45 @@ app.use(cookieParser());
 // Create router
 const router = express.Router();
 
-// Register router
-app.use('/api', router);
 // Route files
 const facilities = require('./routes/facilities');
 const users = require('./routes/users');
-// API Routes
-router.get('/facilities', (req, res) => {
-  res.json({ message: 'List of healthcare facilities' });
-});
+const reviews = require('./routes/reviews');
+const moderation = require('./routes/moderation');
+const costs = require('./routes/costs');
+const insurance = require('./routes/insurance');
+const subscribers = require('./routes/subscribers');
+const contact = require('./routes/contact');
+const claims = require('./routes/claims');
+const provider = require('./routes/provider');
+const suggestions = require('./routes/suggestions');
 
-// Implement the facilities search endpoint
-router.post('/facilities/search', async (req, res) => {
-  try {
-    const { location, radius = 10, careType } = req.body;
-    
-    // Use the geocodeAddress function from api.js
-    const coordinates = await geocodeAddress(location);
-    
-    // Use the searchHealthcareFacilities function from api.js
-    const facilities = await searchHealthcareFacilities(coordinates, radius);
-    
-    // Filter by care type if specified
-    let providers = facilities;
-    if (careType) {
-      providers = facilities.filter(facility => {
-        // Implement filtering logic based on careType
-        return facility.facilityType.toLowerCase().includes(careType.toLowerCase());
-      });
-    }
-    
-    res.json({
-      location: coordinates.displayName,
-      searchCoordinates: {
-        lat: coordinates.lat,
-        lon: coordinates.lon
-      },
-      radius: radius,
-      totalProviders: providers.length,
-      providers: providers
-    });
-  } catch (error) {
-    console.error('API search error:', error);
-    res.status(500).json({ error: error.message || 'An error occurred during search' });
-  }
-});
+// Mount routers (before the generic /api router so /facilities/:type/:id doesn't shadow them)
+app.use('/api/users', users);
+app.use('/api/facilities', facilities);
+app.use('/api/facilities/:facilityId/reviews', reviews);
+app.use('/api/moderation', moderation);
+app.use('/api/insurance-plans', insurance);
+app.use('/api/subscribers', subscribers);
+app.use('/api/contact', contact);
+app.use('/api/claims', claims);
+app.use('/api/provider', provider);
+app.use('/api/suggestions', suggestions);
+app.use('/api', costs);
 
-// Get facility details endpoint
+// Register router
+app.use('/api', router);
+// API Routes
+// Facility details for curated (type 'facility') and OSM results
 router.get('/facilities/:type/:id', async (req, res) => {
   try {
     const { id, type } = req.params;
-    const details = await getFacilityDetails(id, type);
+    const { units, locale } = req.query;
+    const details = await getHybridFacilityDetails(id, type, { units, locale });
     res.json(details);
   } catch (error) {
     console.error('Facility details error:', error);
-    res.status(500).json({ error: error.message || 'Failed to retrieve facility details' });
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to retrieve facility details' });
   }
 });
 
@@ -99,74 +97,89 @@ app.get('/login', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'login.html'));
 });
 
+app.get('/forgot-password', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'forgot-password.html'));
+});
+
+app.get('/reset-password', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'reset-password.html'));
+});
+
+app.get('/accept-invite', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'accept-invite.html'));
+});
+
+// Confirmation and unsubscribe links from subscription emails
+app.get(['/newsletter/confirm', '/newsletter/unsubscribe'], (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'newsletter.html'));
+});
+
 // Healthcare Providers Search Endpoint (frontend facing)
-app.post('/search-providers', async (req, res) => {
-  console.log('search-providers route hit');
+app.post('/search-providers', optionalAuth, async (req, res) => {
   try {
-    const { location, radius = 10, careType, paymentOptions } = req.body;
-    
-    // Use the API functions directly instead of making a self-referential HTTP request
-    const coordinates = await geocodeAddress(location);
-    let facilities = await searchHealthcareFacilities(coordinates, radius);
+    const {
+      location,
+      q,
+      radius = 10,
+      careType,
+      paymentOptions,
+      openNow,
+      openAt,
+      units,
+      locale,
+      sort,
+      maxCostLevel
+    } = req.body;
     
-    // Filter by care type if specified
-    if (careType) {
-      facilities = facilities.filter(facility => {
-        return facility.facilityType.toLowerCase().includes(careType.toLowerCase());
-      });
-    }
+    // Use the hybrid pipeline directly instead of making a self-referential HTTP request
+    const result = await hybridSearch({
+      location,
+      q,
+      radius,
+      careType,
+      paymentOptions,
+      openNow,
+      openAt,
+      units,
+      locale,
+      sort,
+      maxCostLevel
+    });
     
-    // Filter by payment options if specified
-    if (paymentOptions && paymentOptions.length > 0) {
-      facilities = facilities.filter(provider => {
-        if (paymentOptions.includes('Sliding Scale') && 
-            provider.tags && provider.tags['payment:sliding_scale'] === 'yes') {
-          return true;
-        }
-        if (paymentOptions.includes('Free') && 
-            provider.tags && provider.tags.fee === 'no') {
-          return true;
-        }
-        return false;
-      });
+    // Signed-in users get the search in their history; history is best effort
+    if (req.user) {
+      await req.user.recordSearch({
+        location,
+        radius: result.radius,
+        units: result.units,
+        careType,
+        paymentOptions
+      }).catch(err => console.error('Search history error:', err));
     }
     
     res.json({
-      location: coordinates.displayName,
+      location: result.coordinates.displayName,
+      q: result.q,
       searchCoordinates: {
-        lat: coordinates.lat,
-        lon: coordinates.lon
+        lat: result.coordinates.lat,
+        lon: result.coordinates.lon
       },
-      radius: radius,
-      totalProviders: facilities.length,
-      providers: facilities
+      radius: result.radius,
+      units: result.units,
+      locale: result.locale,
+      sort: result.sort,
+      maxCostLevel: result.maxCostLevel,
+      totalProviders: result.providers.length,
+      providers: result.providers
     });
   } catch (error) {
     console.error('Search error:', error);
-    res.status(500).json({ error: error.message || 'An error occurred during search' });
+    res.status(error.statusCode || 500).json({ error: error.message || 'An error occurred during search' });
   }
 });
 
 // Newsletter Subscription
-app.post('/subscribe', (req, res) => {
-  const { email } = req.body;
-  
-  // Placeholder for subscription logic
-  if (!email || !email.includes('@')) {
-    return res.status(400).json({ error: 'Invalid email address' });
-  }
-  
-  // In a real application, you would:
-  // 1. Validate email
-  // 2. Check if email already exists
-  // 3. Save to database
-  // 4. Send confirmation email
-  
-  res.status(200).json({
-    message: 'Successfully subscribed!',
-    email: email
-  });
-});
+app.post('/subscribe', subscribe);
 
 // Error handling middleware
 app.use((req, res, next) => {
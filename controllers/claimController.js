@@ -0,0 +1,262 @@
+// controllers/claimController.js
+const FacilityClaim = require('../models/FacilityClaim');
+const Facility = require('../models/Facility');
+const User = require('../models/User');
+const { sendMail } = require('../utils/mailer');
+
+const QUEUE_FILTERS = {
+  pending: { status: 'pending' },
+  approved: { status: 'approved' },
+  rejected: { status: 'rejected' },
+  revoked: { status: 'revoked' },
+  all: {}
+};
+
+const sendError = (res, err) => {
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.statusCode ? err.message : 'Server Error'
+  });
+};
+
+const notFound = res => res.status(404).json({
+  success: false,
+  error: 'Claim not found'
+});
+
+// Let the claimant know about a decision; a failed email shouldn't undo it
+const notifyClaimant = async (claim, subject, text) => {
+  try {
+    const user = await User.findById(claim.user);
+    if (!user) return;
+    await sendMail({ to: user.email, subject, text: `Hi ${user.firstName},\n\n${text}` });
+  } catch (err) {
+    console.error('Claim email error:', err);
+  }
+};
+
+// Load a claim for an admin decision; only claims in `fromStatus` can be decided
+const decide = (fromStatus, handler) => async (req, res, next) => {
+  try {
+    const claim = await FacilityClaim.findById(req.params.id).populate('facility', 'name provider active');
+
+    if (!claim) {
+      return notFound(res);
+    }
+    if (claim.status !== fromStatus) {
+      return res.status(400).json({
+        success: false,
+        error: `Only ${fromStatus} claims can be changed this way; this one is ${claim.status}`
+      });
+    }
+
+    claim.reviewedBy = req.user._id;
+    claim.reviewedAt = Date.now();
+    if (req.body && req.body.note !== undefined) claim.reviewNote = req.body.note;
+
+    await handler(claim, req, res);
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res);
+    sendError(res, err);
+  }
+};
+
+// @desc    Claim a facility listing
+// @route   POST /api/claims
+// @access  Private
+exports.createClaim = async (req, res, next) => {
+  try {
+    const { facilityId, position, phone, message } = req.body;
+
+    const facility = await Facility.findOne({ _id: facilityId, active: true }).catch(err => {
+      if (err.name === 'CastError') return null;
+      throw err;
+    });
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        error: 'Facility not found'
+      });
+    }
+    if (facility.provider) {
+      return res.status(400).json({
+        success: false,
+        error: 'This facility is already managed by a verified provider. Use the contact form if that is wrong.'
+      });
+    }
+
+    const existing = await FacilityClaim.findOne({
+      facility: facility._id,
+      user: req.user._id,
+      status: 'pending'
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have a pending claim for this facility'
+      });
+    }
+
+    const claim = await FacilityClaim.create({
+      facility: facility._id,
+      user: req.user._id,
+      position,
+      phone,
+      message
+    });
+
+    res.status(201).json({
+      success: true,
+      data: claim
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Get my claims
+// @route   GET /api/claims/mine
+// @access  Private
+exports.getMyClaims = async (req, res, next) => {
+  try {
+    const claims = await FacilityClaim.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('facility', 'name facilityType address');
+
+    res.status(200).json({
+      success: true,
+      count: claims.length,
+      data: claims
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    List claims for review, oldest first
+// @route   GET /api/claims?status=pending|approved|rejected|revoked|all
+// @access  Private/Admin
+exports.getClaims = async (req, res, next) => {
+  try {
+    const filter = QUEUE_FILTERS[req.query.status] || QUEUE_FILTERS.pending;
+
+    const claims = await FacilityClaim.find(filter)
+      .sort({ createdAt: 1 })
+      .limit(100)
+      .populate('user', 'firstName lastName email phone role')
+      .populate('facility', 'name facilityType address contact provider')
+      .populate('reviewedBy', 'firstName lastName email');
+
+    res.status(200).json({
+      success: true,
+      count: claims.length,
+      data: claims
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Approve a claim; the claimant becomes the facility's verified provider
+// @route   PUT /api/claims/:id/approve
+// @access  Private/Admin
+exports.approveClaim = decide('pending', async (claim, req, res) => {
+  if (!claim.facility || !claim.facility.active) {
+    return res.status(400).json({
+      success: false,
+      error: 'The facility no longer exists or is inactive'
+    });
+  }
+
+  // Only set the provider if nobody manages the facility yet, so two approvals can't race
+  const result = await Facility.updateOne(
+    { _id: claim.facility._id, provider: null },
+    { provider: claim.user }
+  );
+  if (result.matchedCount === 0) {
+    return res.status(409).json({
+      success: false,
+      error: 'This facility is already managed by a verified provider; revoke that claim first'
+    });
+  }
+
+  // Admins keep their role; anyone else becomes a provider
+  await User.updateOne({ _id: claim.user, role: 'user' }, { role: 'provider' });
+
+  claim.status = 'approved';
+  await claim.save();
+
+  await FacilityClaim.updateMany(
+    { facility: claim.facility._id, status: 'pending' },
+    {
+      status: 'rejected',
+      reviewedBy: req.user._id,
+      reviewedAt: Date.now(),
+      reviewNote: 'Another claim for this facility was approved'
+    }
+  );
+
+  await notifyClaimant(
+    claim,
+    'Your CareConnect facility claim was approved',
+    `Your claim for ${claim.facility.name} was approved. You can now update its hours, services, payment options and procedure costs from your provider account.`
+  );
+
+  res.status(200).json({
+    success: true,
+    data: claim
+  });
+});
+
+// @desc    Reject a claim
+// @route   PUT /api/claims/:id/reject
+// @access  Private/Admin
+exports.rejectClaim = decide('pending', async (claim, req, res) => {
+  claim.status = 'rejected';
+  await claim.save();
+
+  await notifyClaimant(
+    claim,
+    'Your CareConnect facility claim',
+    [
+      `We could not verify your claim for ${claim.facility ? claim.facility.name : 'this facility'}.`,
+      claim.reviewNote ? `\nNote from our team: ${claim.reviewNote}` : '',
+      '\nIf you think this is a mistake, reply through the contact form.'
+    ].join('')
+  );
+
+  res.status(200).json({
+    success: true,
+    data: claim
+  });
+});
+
+// @desc    Revoke an approved claim; the facility stops being provider-managed
+// @route   PUT /api/claims/:id/revoke
+// @access  Private/Admin
+exports.revokeClaim = decide('approved', async (claim, req, res) => {
+  if (claim.facility) {
+    await Facility.updateOne(
+      { _id: claim.facility._id, provider: claim.user },
+      { $unset: { provider: '', providerUpdatedAt: '' } }
+    );
+  }
+
+  claim.status = 'revoked';
+  await claim.save();
+
+  // Providers with no other facility go back to being regular users
+  const stillManaging = await Facility.exists({ provider: claim.user });
+  if (!stillManaging) {
+    await User.updateOne({ _id: claim.user, role: 'provider' }, { role: 'user' });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: claim
+  });
+});
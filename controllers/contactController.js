@@ -0,0 +1,276 @@
+// controllers/contactController.js
+const ContactMessage = require('../models/ContactMessage');
+const User = require('../models/User');
+const { buildFacilityRef, parseFacilityKey } = require('../utils/facilityRefs');
+const { sendMail } = require('../utils/mailer');
+
+// Spam throttling: at most this many messages per IP address per window
+const MAX_MESSAGES_PER_IP = 5;
+const THROTTLE_WINDOW_MS = 60 * 60 * 1000;
+
+const INBOX_FILTERS = {
+  open: { status: 'open' },
+  handled: { status: 'handled' },
+  all: {}
+};
+
+const POPULATE_PEOPLE = [
+  { path: 'user', select: 'firstName lastName email' },
+  { path: 'assignedTo', select: 'firstName lastName email' },
+  { path: 'handledBy', select: 'firstName lastName email' },
+  { path: 'replies.author', select: 'firstName lastName email' }
+];
+
+const sendError = (res, err) => {
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.statusCode ? err.message : 'Server Error'
+  });
+};
+
+const notFound = res => res.status(404).json({
+  success: false,
+  error: 'Message not found'
+});
+
+// Split a "facility/<id>" or "node/123" key into reference fields
+const splitFacilityKey = key => {
+  const [type, id] = String(key).split('/');
+  return { type, id };
+};
+
+// Load a message for an inbox action, or answer 404
+const withMessage = handler => async (req, res, next) => {
+  try {
+    const contactMessage = await ContactMessage.findById(req.params.id);
+
+    if (!contactMessage) {
+      return notFound(res);
+    }
+
+    await handler(contactMessage, req, res);
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res);
+    sendError(res, err);
+  }
+};
+
+// @desc    Send a message through the contact form
+// @route   POST /api/contact
+// @access  Public
+exports.createContactMessage = async (req, res, next) => {
+  try {
+    // Behind a reverse proxy req.ip is the visitor's only with TRUST_PROXY set (see app.js)
+    const recent = await ContactMessage.countDocuments({
+      ip: req.ip,
+      createdAt: { $gt: new Date(Date.now() - THROTTLE_WINDOW_MS) }
+    });
+
+    if (recent >= MAX_MESSAGES_PER_IP) {
+      res.set('Retry-After', String(THROTTLE_WINDOW_MS / 1000));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many messages from this network. Please try again later.'
+      });
+    }
+
+    const { name, email, category, subject, message, facilityKey, facilityName } = req.body;
+
+    // Overpass being down falls back to the name the form sent along
+    const facility = facilityKey
+      ? await buildFacilityRef({ ...splitFacilityKey(facilityKey), name: facilityName })
+      : undefined;
+
+    const contactMessage = await ContactMessage.create({
+      name,
+      email,
+      category,
+      subject,
+      message,
+      facility,
+      user: req.user && req.user._id,
+      ip: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: contactMessage._id,
+        category: contactMessage.category,
+        createdAt: contactMessage.createdAt
+      }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    List contact messages, newest first
+// @route   GET /api/contact/messages?status=open|handled|all&category=&assignedTo=me|unassigned|<userId>&facilityKey=
+// @access  Private/Admin
+exports.getContactMessages = async (req, res, next) => {
+  try {
+    const { category, assignedTo, facilityKey } = req.query;
+    const query = { ...(INBOX_FILTERS[req.query.status] || INBOX_FILTERS.open) };
+
+    if (category) query.category = category;
+    if (assignedTo === 'me') query.assignedTo = req.user._id;
+    else if (assignedTo === 'unassigned') query.assignedTo = null;
+    else if (assignedTo) query.assignedTo = assignedTo;
+
+    if (facilityKey) {
+      const { type, id } = splitFacilityKey(facilityKey);
+      const parsed = parseFacilityKey(type, id);
+      if (parsed.facility) query['facility.facility'] = parsed.facility;
+      else query['facility.osmId'] = parsed.osmId;
+    }
+
+    const [messages, openCount] = await Promise.all([
+      ContactMessage.find(query)
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .populate(POPULATE_PEOPLE),
+      ContactMessage.countDocuments({ status: 'open' })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      openCount,
+      data: messages
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ success: false, error: 'assignedTo must be a user id, me or unassigned' });
+    }
+    sendError(res, err);
+  }
+};
+
+// @desc    Get a single contact message
+// @route   GET /api/contact/messages/:id
+// @access  Private/Admin
+exports.getContactMessage = withMessage(async (contactMessage, req, res) => {
+  await contactMessage.populate(POPULATE_PEOPLE);
+
+  res.status(200).json({
+    success: true,
+    data: contactMessage
+  });
+});
+
+// @desc    Mark a message handled, or reopen it with {handled: false}
+// @route   PUT /api/contact/messages/:id/handled
+// @access  Private/Admin
+exports.markHandled = withMessage(async (contactMessage, req, res) => {
+  // Form posts send the flag as a string; leaving it out marks the message handled
+  const { handled: value = true } = req.body;
+  if (![true, false, 'true', 'false'].includes(value)) {
+    return res.status(400).json({
+      success: false,
+      error: 'handled must be true or false'
+    });
+  }
+
+  const handled = value === true || value === 'true';
+
+  contactMessage.status = handled ? 'handled' : 'open';
+  contactMessage.handledBy = handled ? req.user._id : undefined;
+  contactMessage.handledAt = handled ? Date.now() : undefined;
+  await contactMessage.save();
+
+  res.status(200).json({
+    success: true,
+    data: contactMessage
+  });
+});
+
+// @desc    Assign a message to an admin, or unassign it with {assignedTo: null}
+// @route   PUT /api/contact/messages/:id/assign
+// @access  Private/Admin
+exports.assignMessage = withMessage(async (contactMessage, req, res) => {
+  const { assignedTo } = req.body;
+
+  if (assignedTo === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please provide assignedTo (an admin user id, me or null)'
+    });
+  }
+
+  if (assignedTo === null) {
+    contactMessage.assignedTo = undefined;
+  } else {
+    const assigneeId = assignedTo === 'me' ? req.user._id : assignedTo;
+    const assignee = await User.findOne({ _id: assigneeId, role: 'admin' }).catch(err => {
+      if (err.name === 'CastError') return null;
+      throw err;
+    });
+
+    if (!assignee) {
+      return res.status(400).json({
+        success: false,
+        error: 'Messages can only be assigned to admins'
+      });
+    }
+    contactMessage.assignedTo = assignee._id;
+  }
+
+  await contactMessage.save();
+
+  res.status(200).json({
+    success: true,
+    data: contactMessage
+  });
+});
+
+// @desc    Email a reply to the sender and keep it on the message
+// @route   POST /api/contact/messages/:id/replies
+// @access  Private/Admin
+exports.replyToMessage = withMessage(async (contactMessage, req, res) => {
+  const reply = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+
+  if (!reply) {
+    return res.status(400).json({
+      success: false,
+      error: 'Please add a reply message'
+    });
+  }
+
+  // Validate before emailing so an over-long reply isn't sent and then rejected
+  contactMessage.replies.push({ author: req.user._id, message: reply });
+  await contactMessage.validate();
+
+  const quoted = contactMessage.message.split('\n').map(line => `> ${line}`).join('\n');
+
+  try {
+    await sendMail({
+      to: contactMessage.email,
+      subject: `Re: ${contactMessage.subject || 'Your message to CareConnect'}`,
+      text: [
+        `Hi ${contactMessage.name},`,
+        '',
+        reply,
+        '',
+        `On ${contactMessage.createdAt.toUTCString()} you wrote:`,
+        quoted
+      ].join('\n')
+    });
+  } catch (err) {
+    console.error('Contact reply email error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Email could not be sent'
+    });
+  }
+
+  await contactMessage.save();
+
+  res.status(201).json({
+    success: true,
+    data: contactMessage
+  });
+});
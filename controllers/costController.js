@@ -0,0 +1,292 @@
+// controllers/costController.js
+const Facility = require('../models/Facility');
+const InsurancePlan = require('../models/InsurancePlan');
+const { geocodeAddress } = require('../map-integration');
+const { estimateOutOfPocket } = require('../utils/costEstimator');
+const {
+  DEFAULT_CURRENCY,
+  parseUnitOptions,
+  toKilometers,
+  labelDistance,
+  labelEstimate,
+  formatMoney
+} = require('../utils/units');
+
+// Maximum number of providers returned by a cost comparison
+const MAX_PROVIDERS = 50;
+
+// Escape user input for use inside a RegExp
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Load an active plan, or null for self-pay; throws a 404-tagged error for unknown ids
+const loadPlan = async planId => {
+  if (!planId || planId === 'none') return null;
+  const plan = await InsurancePlan.findOne({ _id: planId, active: true }).catch(() => null);
+  if (!plan) {
+    const error = new Error('Insurance plan not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return plan;
+};
+
+// @desc    Compare procedure costs at facilities near a ZIP/PIN code
+// @route   POST /api/cost-compare
+// @access  Public
+exports.compareCosts = async (req, res, next) => {
+  try {
+    const {
+      procedureName,
+      zipCode,
+      radius = 25,
+      planId,
+      deductibleMet,
+      outOfPocketSpent,
+      units,
+      locale
+    } = req.body;
+
+    if (!procedureName || !zipCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a procedure and a ZIP or PIN code'
+      });
+    }
+    if (typeof procedureName !== 'string' || !procedureName.trim()) {
+      const error = new Error('procedureName must be a string');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const unitOptions = parseUnitOptions({ units, locale });
+    const radiusKm = toKilometers(radius, unitOptions.units);
+    if (!(radiusKm > 0)) {
+      const error = new Error('radius must be a positive number');
+      error.statusCode = 400;
+      throw error;
+    }
+    const plan = await loadPlan(planId);
+    const coordinates = await geocodeAddress(zipCode);
+    const procedureMatch = new RegExp(`^${escapeRegex(procedureName.trim())}$`, 'i');
+
+    const providers = await Facility.aggregate([
+      {
+        $geoNear: {
+          near: {
+            type: 'Point',
+            coordinates: [coordinates.lon, coordinates.lat]
+          },
+          distanceField: 'distance',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: {
+            active: true,
+            'procedureCosts.procedureName': procedureMatch
+          }
+        }
+      },
+      { $limit: MAX_PROVIDERS },
+      { $unwind: '$procedureCosts' },
+      { $match: { 'procedureCosts.procedureName': procedureMatch } },
+      {
+        $project: {
+          _id: 0,
+          facilityId: '$_id',
+          facilityName: '$name',
+          facilityType: '$facilityType',
+          averageCost: '$procedureCosts.averageCost',
+          minCost: '$procedureCosts.minCost',
+          maxCost: '$procedureCosts.maxCost',
+          procedureName: '$procedureCosts.procedureName',
+          description: '$procedureCosts.description',
+          // Entry currency, then facility currency, then the default for older records
+          currency: { $ifNull: ['$procedureCosts.currency', { $ifNull: ['$currency', DEFAULT_CURRENCY] }] },
+          distance: { $divide: ['$distance', 1000] },
+          paymentOptions: '$paymentOptions'
+        }
+      }
+    ]);
+
+    // Attach what the patient would owe under their plan (or self-pay when no plan was chosen)
+    const results = providers.map(provider => {
+      const estimate = estimateOutOfPocket({
+        procedure: provider,
+        facility: { _id: provider.facilityId, paymentOptions: provider.paymentOptions },
+        plan,
+        deductibleMet: Number(deductibleMet) || 0,
+        outOfPocketSpent: Number(outOfPocketSpent) || 0
+      });
+
+      return {
+        ...labelDistance(provider, unitOptions),
+        formatted: {
+          averageCost: formatMoney(provider.averageCost, provider.currency, unitOptions.locale),
+          minCost: formatMoney(provider.minCost, provider.currency, unitOptions.locale),
+          maxCost: formatMoney(provider.maxCost, provider.currency, unitOptions.locale)
+        },
+        estimate: labelEstimate(estimate, unitOptions.locale)
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      procedureName,
+      plan: plan ? { id: plan._id, name: plan.name, currency: plan.currency } : null,
+      location: coordinates.displayName,
+      searchCoordinates: {
+        lat: coordinates.lat,
+        lon: coordinates.lon
+      },
+      radius: Number(radius),
+      ...unitOptions,
+      totalProviders: results.length,
+      providers: results
+    });
+  } catch (err) {
+    console.error('Cost compare error:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.message || 'Server Error'
+    });
+  }
+};
+
+// @desc    Estimate what a patient pays for a procedure at a facility under their plan
+// @route   POST /api/cost-estimate
+// @access  Public
+exports.estimateCost = async (req, res, next) => {
+  try {
+    const { procedureName, facilityId, planId, deductibleMet = 0, outOfPocketSpent = 0, locale } = req.body;
+
+    if (!procedureName || !facilityId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a procedure and a facility'
+      });
+    }
+    if (typeof procedureName !== 'string' || !procedureName.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'procedureName must be a string'
+      });
+    }
+
+    const { locale: formatLocale } = parseUnitOptions({ locale });
+    const plan = await loadPlan(planId);
+    const facility = await Facility.findOne({ _id: facilityId, active: true }).catch(() => null);
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        error: 'Facility not found'
+      });
+    }
+
+    const procedure = facility.procedureCosts.find(
+      cost => cost.procedureName && cost.procedureName.toLowerCase() === procedureName.trim().toLowerCase()
+    );
+
+    // Entries with only a min/max range have no list price to estimate from
+    if (!procedure || typeof procedure.averageCost !== 'number') {
+      return res.status(404).json({
+        success: false,
+        error: `No cost information for ${procedureName} at this facility`
+      });
+    }
+
+    const estimate = estimateOutOfPocket({
+      procedure: {
+        ...procedure.toObject(),
+        currency: procedure.currency || facility.currency || DEFAULT_CURRENCY
+      },
+      facility,
+      plan,
+      deductibleMet: Number(deductibleMet) || 0,
+      outOfPocketSpent: Number(outOfPocketSpent) || 0
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        facilityId: facility._id,
+        facilityName: facility.name,
+        plan: plan ? { id: plan._id, name: plan.name, currency: plan.currency } : null,
+        locale: formatLocale,
+        ...labelEstimate(estimate, formatLocale)
+      }
+    });
+  } catch (err) {
+    console.error('Cost estimate error:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.message || 'Server Error'
+    });
+  }
+};
+
+// @desc    List procedures that have cost data, with price ranges per currency
+// @route   GET /api/common-procedures?currency=&locale=
+// @access  Public
+exports.getCommonProcedures = async (req, res, next) => {
+  try {
+    const { locale } = parseUnitOptions({ locale: req.query.locale });
+
+    const pipeline = [
+      { $match: { active: true } },
+      { $unwind: '$procedureCosts' },
+      { $match: { 'procedureCosts.procedureName': { $nin: [null, ''] } } },
+      {
+        $addFields: {
+          currency: { $ifNull: ['$procedureCosts.currency', { $ifNull: ['$currency', DEFAULT_CURRENCY] }] }
+        }
+      }
+    ];
+
+    if (req.query.currency) {
+      pipeline.push({ $match: { currency: String(req.query.currency).toUpperCase() } });
+    }
+
+    // Prices in different currencies can't share a range, so group by both
+    pipeline.push(
+      {
+        $group: {
+          _id: { name: '$procedureCosts.procedureName', currency: '$currency' },
+          facilityCount: { $sum: 1 },
+          minCost: { $min: '$procedureCosts.minCost' },
+          maxCost: { $max: '$procedureCosts.maxCost' },
+          averageCost: { $avg: '$procedureCosts.averageCost' }
+        }
+      },
+      { $sort: { '_id.name': 1, '_id.currency': 1 } },
+      {
+        $project: {
+          _id: 0,
+          name: '$_id.name',
+          currency: '$_id.currency',
+          facilityCount: 1,
+          minCost: 1,
+          maxCost: 1,
+          averageCost: { $round: ['$averageCost', 0] }
+        }
+      }
+    );
+
+    const procedures = await Facility.aggregate(pipeline);
+
+    // The estimator modal expects a plain array
+    res.status(200).json(procedures.map(procedure => ({
+      ...procedure,
+      formatted: {
+        averageCost: formatMoney(procedure.averageCost, procedure.currency, locale),
+        minCost: formatMoney(procedure.minCost, procedure.currency, locale),
+        maxCost: formatMoney(procedure.maxCost, procedure.currency, locale)
+      }
+    })));
+  } catch (err) {
+    console.error('Common procedures error:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
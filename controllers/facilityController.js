@@ -1,13 +1,30 @@
 // controllers/facilityController.js
 const Facility = require('../models/Facility');
-const { geocodeAddress } = require('../routes/facilities'); // Your existing function
+const { geocodeAddress } = require('../map-integration');
+const { hybridSearch, normalizePaymentOptions } = require('../utils/facilitySearch');
+const { parseBbox, parseZoom, getMapFeatures } = require('../utils/mapClusters');
+const { CARE_TYPES, parseCareType } = require('../utils/careTypes');
+const { parseMaxCostLevel } = require('../utils/affordability');
+const { autocomplete } = require('../utils/searchTerms');
+const { updateMyFacility } = require('./providerController');
+const { snapshotOf, recordRevision } = require('../utils/facilityRevisions');
+
+// Set through claims (/api/claims), never through the generic update
+const CLAIM_FIELDS = ['provider', 'providerUpdatedAt'];
+
+// One-line address for geocoding, skipping parts that weren't given
+const addressString = address => [
+  address.street,
+  address.city,
+  [address.state, address.zipCode].filter(Boolean).join(' ')
+].filter(Boolean).join(', ');
 
 // @desc    Get all facilities
 // @route   GET /api/facilities
 // @access  Public
 const getFacilities = async (req, res, next) => {
   try {
-    const facilities = await Facility.find();
+    const facilities = await Facility.find({ active: true });
     
     res.status(200).json({
       success: true,
@@ -22,94 +39,153 @@ const getFacilities = async (req, res, next) => {
   }
 };
 
-// @desc    Search facilities
-// @route   POST /api/facilities/search
+// @desc    Care categories for search forms, in display order
+// @route   GET /api/facilities/care-types
 // @access  Public
-const searchFacilities = async (req, res, next) => {
+const getCareTypes = (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    count: CARE_TYPES.length,
+    data: CARE_TYPES.map(({ value, label, specialties }) => ({ value, label, specialties }))
+  });
+};
+
+// @desc    Search box suggestions: facilities, services and places starting with what was typed
+// @route   GET /api/facilities/autocomplete?q=&lat=&lon=&limit=
+// @access  Public
+const getAutocomplete = async (req, res, next) => {
   try {
-    const { location, radius = 10, facilityType, paymentOptions = [] } = req.body;
+    const { q, lat, lon, limit } = req.query;
 
-    // Use the geocodeAddress function from facilities.js
-    const coordinates = await geocodeAddress(location);
+    // A point, e.g. the map centre, puts nearby facilities first
+    let coords = null;
+    if (lat !== undefined || lon !== undefined) {
+      coords = { lat: parseFloat(lat), lon: parseFloat(lon) };
+      if (!(Math.abs(coords.lat) <= 90 && Math.abs(coords.lon) <= 180)) {
+        const error = new Error('lat and lon must be given together as valid coordinates');
+        error.statusCode = 400;
+        throw error;
+      }
+    }
 
-    // Base query for location
-    const query = {
-      location: {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [coordinates.lon, coordinates.lat]
-          },
-          $maxDistance: radius * 1609.34 // Convert miles to meters
-        }
-      },
-      active: true
-    };
+    const suggestions = await autocomplete({ q, coords, limit });
 
-    // Add facility type filter if provided
-    if (facilityType) {
-      query.facilityType = facilityType;
-    }
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : 'Server Error'
+    });
+  }
+};
 
-    // Handle payment options
-    if (paymentOptions.length > 0) {
-      const orConditions = [];
-      
-      if (paymentOptions.includes('slidingScale')) {
-        orConditions.push({ 'paymentOptions.slidingScale': true });
-      }
-      if (paymentOptions.includes('freeCare')) {
-        orConditions.push({ 'paymentOptions.freeCare': true });
-      }
-      if (paymentOptions.includes('insurance')) {
-        orConditions.push({ 'paymentOptions.acceptsInsurance': true });
-      }
-      if (paymentOptions.includes('medicaid')) {
-        orConditions.push({ 'paymentOptions.acceptsMedicaid': true });
-      }
-      if (paymentOptions.includes('medicare')) {
-        orConditions.push({ 'paymentOptions.acceptsMedicare': true });
-      }
-      if (paymentOptions.includes('financialAssistance')) {
-        orConditions.push({ 'paymentOptions.financialAssistance': true });
-      }
-      if (paymentOptions.includes('charityCare')) {
-        orConditions.push({ 'paymentOptions.charityCare': true });
-      }
+// @desc    Facilities in a map viewport as GeoJSON, clustered at low zooms
+// @route   GET /api/facilities/map?bbox=west,south,east,north&zoom=&careType=&paymentOptions=a,b&maxCostLevel=
+// @access  Public
+const getMapFacilities = async (req, res, next) => {
+  try {
+    const { bbox, zoom, careType, paymentOptions, maxCostLevel } = req.query;
 
-      if (orConditions.length > 0) {
-        query.$or = orConditions;
-      }
+    const filters = {};
+    const careTypeValue = parseCareType(careType);
+    if (careTypeValue) {
+      filters.facilityType = careTypeValue;
+    }
+    const paymentKeys = normalizePaymentOptions(paymentOptions ? String(paymentOptions).split(',') : []);
+    if (paymentKeys.length > 0) {
+      filters.$or = paymentKeys.map(key => ({ [`paymentOptions.${key}`]: true }));
     }
+    const maxCostLevelValue = parseMaxCostLevel(maxCostLevel);
+    if (maxCostLevelValue !== null) {
+      filters.costLevel = { $lte: maxCostLevelValue };
+    }
+
+    const collection = await getMapFeatures({
+      bbox: parseBbox(bbox),
+      zoom: parseZoom(zoom),
+      filters
+    });
+
+    res.status(200).type('application/geo+json').send(JSON.stringify(collection));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : 'Server Error'
+    });
+  }
+};
+
+// @desc    Search facilities near a location, optionally by free text (q), ranked by sort
+// @route   POST /api/facilities/search
+// @access  Public
+const searchFacilities = async (req, res, next) => {
+  try {
+    const {
+      location,
+      q,
+      radius = 10,
+      facilityType,
+      careType,
+      paymentOptions = [],
+      openNow,
+      openAt,
+      units,
+      locale,
+      sort,
+      maxCostLevel
+    } = req.body;
 
-    // Find facilities
-    const facilities = await Facility.find(query).limit(50);
+    // Query curated facilities and OpenStreetMap through the shared pipeline
+    const result = await hybridSearch({
+      location,
+      q,
+      radius,
+      // facilityType is this endpoint's original name; careType matches /search-providers
+      careType: facilityType || careType,
+      paymentOptions,
+      openNow,
+      openAt,
+      // Fall back to the signed-in user's preferences
+      units: units || (req.user && req.user.preferences.units),
+      locale: locale || (req.user && req.user.preferences.locale),
+      sort,
+      maxCostLevel
+    });
 
-    // Save search to user history if logged in
+    // Save search to user history if logged in; history is best effort
     if (req.user) {
-      req.user.searchHistory.push({
+      await req.user.recordSearch({
         location,
-        radius,
-        facilityType,
-        timestamp: Date.now()
-      });
-      await req.user.save();
+        radius: result.radius,
+        units: result.units,
+        careType: facilityType || careType,
+        paymentOptions
+      }).catch(err => console.error('Search history error:', err));
     }
 
     res.status(200).json({
       success: true,
-      location: coordinates.displayName,
+      location: result.coordinates.displayName,
+      q: result.q,
       searchCoordinates: {
-        lat: coordinates.lat,
-        lon: coordinates.lon
+        lat: result.coordinates.lat,
+        lon: result.coordinates.lon
       },
-      radius: radius,
-      totalProviders: facilities.length,
-      providers: facilities.map(facility => facility.toPublicJSON())
+      radius: result.radius,
+      units: result.units,
+      locale: result.locale,
+      sort: result.sort,
+      maxCostLevel: result.maxCostLevel,
+      totalProviders: result.providers.length,
+      providers: result.providers
     });
   } catch (err) {
     console.error('Search facilities error:', err);
-    res.status(500).json({
+    res.status(err.statusCode || 500).json({
       success: false,
       error: err.message || 'Server Error'
     });
@@ -123,7 +199,7 @@ const getFacility = async (req, res, next) => {
   try {
     const facility = await Facility.findById(req.params.id);
     
-    if (!facility) {
+    if (!facility || !facility.active) {
       return res.status(404).json({
         success: false,
         error: 'Facility not found'
@@ -135,6 +211,12 @@ const getFacility = async (req, res, next) => {
       data: facility.toPublicJSON()
     });
   } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Facility not found'
+      });
+    }
     res.status(500).json({
       success: false,
       error: 'Server Error'
@@ -144,7 +226,7 @@ const getFacility = async (req, res, next) => {
 
 // @desc    Create new facility
 // @route   POST /api/facilities
-// @access  Private
+// @access  Private/Admin
 const createFacility = async (req, res) => {
   try {
     // Extract and format data from request body
@@ -161,9 +243,15 @@ const createFacility = async (req, res) => {
       accessibility
     } = req.body;
     
+    if (!address || !addressString(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please add an address'
+      });
+    }
+    
     // Geocode the address to get coordinates
-    const addressStr = `${address.street}, ${address.city}, ${address.state} ${address.zipCode}`;
-    const coordinates = await geocodeAddress(addressStr);
+    const coordinates = await geocodeAddress(addressString(address));
     
     const facilityData = {
       name,
@@ -191,6 +279,7 @@ const createFacility = async (req, res) => {
     
     // Create facility
     const facility = await Facility.create(facilityData);
+    await recordRevision(facility, { action: 'create', user: req.user });
     
     res.status(201).json({
       success: true,
@@ -207,8 +296,12 @@ const createFacility = async (req, res) => {
 
 // @desc    Update facility
 // @route   PUT /api/facilities/:id
-// @access  Private
-const updateFacility = async (req, res) => {
+// @access  Private/Admin, or the facility's provider (limited to the fields of PUT /api/provider/facilities/:id)
+const updateFacility = async (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return updateMyFacility(req, res, next);
+  }
+
   try {
     let facility = await Facility.findById(req.params.id);
     
@@ -222,8 +315,7 @@ const updateFacility = async (req, res) => {
     // If address is being updated, we need to geocode it
     if (req.body.address) {
       const address = req.body.address;
-      const addressStr = `${address.street}, ${address.city}, ${address.state} ${address.zipCode}`;
-      const coordinates = await geocodeAddress(addressStr);
+      const coordinates = await geocodeAddress(addressString(address));
       
       req.body.location = {
         type: 'Point',
@@ -233,10 +325,18 @@ const updateFacility = async (req, res) => {
       req.body.address.formatted = coordinates.displayName;
     }
     
+    const before = snapshotOf(facility);
+    CLAIM_FIELDS.forEach(field => delete req.body[field]);
+    // findByIdAndUpdate skips the pre-save hook that maintains updatedAt
+    req.body.updatedAt = Date.now();
+    
     facility = await Facility.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true
     });
+    // findByIdAndUpdate also skips the search keys; recompute them from the updated fields
+    await Facility.syncSearchKeys({ _id: facility._id });
+    await recordRevision(facility, { action: 'update', before, user: req.user });
     
     res.status(200).json({
       success: true,
@@ -253,7 +353,7 @@ const updateFacility = async (req, res) => {
 
 // @desc    Delete facility
 // @route   DELETE /api/facilities/:id
-// @access  Private
+// @access  Private/Admin
 const deleteFacility = async (req, res) => {
   try {
     const facility = await Facility.findById(req.params.id);
@@ -266,8 +366,10 @@ const deleteFacility = async (req, res) => {
     }
     
     // Soft delete - just mark as inactive instead of removing
+    const before = snapshotOf(facility);
     facility.active = false;
     await facility.save();
+    await recordRevision(facility, { action: 'delete', before, user: req.user });
     
     res.status(200).json({
       success: true,
@@ -286,6 +388,9 @@ const deleteFacility = async (req, res) => {
 module.exports = {
   getFacilities,
   getFacility,
+  getCareTypes,
+  getAutocomplete,
+  getMapFacilities,
   searchFacilities,
   createFacility,
   updateFacility,
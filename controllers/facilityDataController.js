@@ -0,0 +1,87 @@
+// controllers/facilityDataController.js
+const { importFacilities, exportFacilities } = require('../utils/facilityData');
+
+const sendError = (res, err) => {
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.statusCode ? err.message : 'Server Error'
+  });
+};
+
+// Rows without coordinates are geocoded at about one per second (Nominatim's limit), so uploads
+// are capped to keep the request short; larger files go through facility-data.js
+const MAX_UPLOAD_GEOCODED_ROWS = 50;
+
+// The upload's content type picks the format unless ?format= is given
+const importFormat = req => req.query.format || (req.is('text/csv') ? 'csv' : 'geojson');
+
+// @desc    Import facilities from a CSV or GeoJSON upload (request body); ?dryRun=true reports
+//          errors and duplicates without writing
+// @route   POST /api/facilities/import?format=csv|geojson&dryRun=&onDuplicate=skip|update&mapping[Column]=field
+// @access  Private/Admin
+exports.importFacilities = async (req, res, next) => {
+  try {
+    const mapping = req.query.mapping;
+    if (mapping !== undefined && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Pass column mappings as mapping[Column name]=field'
+      });
+    }
+
+    const report = await importFacilities(req.body, {
+      format: importFormat(req),
+      mapping,
+      dryRun: req.query.dryRun === 'true',
+      onDuplicate: req.query.onDuplicate,
+      user: req.user,
+      maxGeocodedRows: MAX_UPLOAD_GEOCODED_ROWS
+    });
+
+    // Nothing written because every row that wasn't a duplicate failed
+    if (!report.dryRun && report.failed > 0 && report.created === 0 && report.updated === 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'No rows were imported; see data.errors',
+        data: report
+      });
+    }
+
+    res.status(!report.dryRun && report.created > 0 ? 201 : 200).json({
+      success: true,
+      data: report
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Export active facilities as CSV or GeoJSON, in the format import accepts
+// @route   GET /api/facilities/export?format=csv|geojson&region=&type=&costLevel=
+// @access  Private/Admin
+exports.exportFacilities = async (req, res, next) => {
+  try {
+    const { format = 'csv', region, type, costLevel } = req.query;
+    const { body } = await exportFacilities({ region, type, costLevel }, format);
+
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'geojson') {
+      return res
+        .status(200)
+        .type('application/geo+json')
+        .attachment(`facilities-${date}.geojson`)
+        .send(JSON.stringify(body));
+    }
+
+    res
+      .status(200)
+      .type('text/csv')
+      .attachment(`facilities-${date}.csv`)
+      .send(body);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,131 @@
+// controllers/insuranceController.js
+const InsurancePlan = require('../models/InsurancePlan');
+
+const notFound = res => res.status(404).json({
+  success: false,
+  error: 'Insurance plan not found'
+});
+
+// @desc    Get insurance plans and schemes
+// @route   GET /api/insurance-plans?planType=&country=
+// @access  Public
+exports.getPlans = async (req, res, next) => {
+  try {
+    const query = { active: true };
+    if (req.query.planType) query.planType = req.query.planType;
+    if (req.query.country) query.country = req.query.country;
+
+    const plans = await InsurancePlan.find(query)
+      .select('-inNetworkFacilities')
+      .sort({ planType: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: plans.length,
+      data: plans
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get single insurance plan
+// @route   GET /api/insurance-plans/:id
+// @access  Public
+exports.getPlan = async (req, res, next) => {
+  try {
+    const plan = await InsurancePlan.findById(req.params.id);
+
+    if (!plan || !plan.active) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: plan
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    Create insurance plan
+// @route   POST /api/insurance-plans
+// @access  Private/Admin
+exports.createPlan = async (req, res, next) => {
+  try {
+    const plan = await InsurancePlan.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: plan
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+};
+
+// @desc    Update insurance plan
+// @route   PUT /api/insurance-plans/:id
+// @access  Private/Admin
+exports.updatePlan = async (req, res, next) => {
+  try {
+    const plan = await InsurancePlan.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!plan) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: plan
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res);
+    res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+};
+
+// @desc    Retire insurance plan
+// @route   DELETE /api/insurance-plans/:id
+// @access  Private/Admin
+exports.deletePlan = async (req, res, next) => {
+  try {
+    const plan = await InsurancePlan.findById(req.params.id);
+
+    if (!plan) {
+      return notFound(res);
+    }
+
+    // Soft delete so existing references keep working
+    plan.active = false;
+    await plan.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
@@ -0,0 +1,180 @@
+// controllers/moderationController.js
+const Review = require('../models/Review');
+const ModerationLog = require('../models/ModerationLog');
+
+// Queue filters accepted by the listing endpoint
+const QUEUE_FILTERS = {
+  reported: { reported: true, hidden: { $ne: true } },
+  hidden: { hidden: true },
+  all: {}
+};
+
+// Copy of the review fields worth keeping in the audit trail
+const snapshotOf = review => ({
+  user: review.user,
+  rating: review.rating,
+  comment: review.comment,
+  hidden: review.hidden,
+  reported: review.reported,
+  verified: review.verified,
+  reports: review.reports.toObject()
+});
+
+// Record a moderation action together with the review as it was before the action
+const logAction = (review, snapshot, req, action) => ModerationLog.create({
+  review: review._id,
+  facility: review.facility,
+  moderator: req.user._id,
+  action,
+  reason: req.body && req.body.reason,
+  snapshot
+});
+
+const notFound = res => res.status(404).json({
+  success: false,
+  error: 'Review not found'
+});
+
+// Load the review, apply a change, save it and log the action
+const moderate = (action, change) => async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return notFound(res);
+    }
+
+    const snapshot = snapshotOf(review);
+    change(review);
+    // Saving triggers the facility rating recompute, which ignores hidden reviews
+    await review.save();
+    await logAction(review, snapshot, req, action);
+
+    res.status(200).json({
+      success: true,
+      data: review
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    List the moderation queue
+// @route   GET /api/moderation/reviews?status=reported|hidden|all
+// @access  Private/Admin
+exports.getModerationQueue = async (req, res, next) => {
+  try {
+    const filter = QUEUE_FILTERS[req.query.status] || QUEUE_FILTERS.reported;
+
+    const reviews = await Review.find(filter)
+      .sort({ 'reports.0.createdAt': 1, createdAt: 1 })
+      .limit(100)
+      .populate('user', 'firstName lastName email')
+      .populate('facility', 'name')
+      .populate('reports.user', 'firstName lastName email');
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      data: reviews
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    Hide a review from listings and ratings
+// @route   PUT /api/moderation/reviews/:id/hide
+// @access  Private/Admin
+exports.hideReview = moderate('hide', review => {
+  review.hidden = true;
+  review.reported = false;
+});
+
+// @desc    Restore a hidden review, or dismiss the reports against a visible one
+// @route   PUT /api/moderation/reviews/:id/restore
+// @access  Private/Admin
+exports.restoreReview = moderate('restore', review => {
+  review.hidden = false;
+  review.reported = false;
+});
+
+// @desc    Mark a review as a verified visit
+// @route   PUT /api/moderation/reviews/:id/verify
+// @access  Private/Admin
+exports.verifyReview = async (req, res, next) => {
+  // Form posts send the flag as a string; leaving it out verifies
+  const { verified: value = true } = req.body;
+  if (![true, false, 'true', 'false'].includes(value)) {
+    return res.status(400).json({
+      success: false,
+      error: 'verified must be true or false'
+    });
+  }
+
+  const verified = value === true || value === 'true';
+  return moderate(verified ? 'verify' : 'unverify', review => {
+    review.verified = verified;
+  })(req, res, next);
+};
+
+// @desc    Delete a review permanently
+// @route   DELETE /api/moderation/reviews/:id
+// @access  Private/Admin
+exports.deleteReview = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return notFound(res);
+    }
+
+    const snapshot = snapshotOf(review);
+    await review.deleteOne();
+    await logAction(review, snapshot, req, 'delete');
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get the moderation audit trail
+// @route   GET /api/moderation/log?review=<id>
+// @access  Private/Admin
+exports.getModerationLog = async (req, res, next) => {
+  try {
+    const filter = req.query.review ? { review: req.query.review } : {};
+
+    const entries = await ModerationLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .populate('moderator', 'firstName lastName email');
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
@@ -0,0 +1,87 @@
+// controllers/notificationController.js
+const Notification = require('../models/Notification');
+
+// @desc    Get notifications, newest first
+// @route   GET /api/users/me/notifications?unread=true
+// @access  Private
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.unread === 'true') query.read = false;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).limit(100),
+      Notification.countDocuments({ user: req.user._id, read: false })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      data: notifications
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    Mark one notification as read
+// @route   PUT /api/users/me/notifications/:id/read
+// @access  Private
+exports.markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { read: true },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: notification
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/users/me/notifications/read
+// @access  Private
+exports.markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, read: false },
+      { read: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { updated: result.modifiedCount }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
@@ -0,0 +1,122 @@
+// controllers/providerController.js
+const Facility = require('../models/Facility');
+const { snapshotOf, recordRevision } = require('../utils/facilityRevisions');
+
+// The only listing fields a verified provider can change
+const PROVIDER_FIELDS = ['hours', 'services', 'paymentOptions', 'procedureCosts'];
+
+const sendError = (res, err) => {
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.statusCode ? err.message : 'Server Error'
+  });
+};
+
+const badRequest = message => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Another provider's facility reads as not found
+const findOwnFacility = req => Facility.findOne({ _id: req.params.id, provider: req.user._id })
+  .catch(err => {
+    if (err.name === 'CastError') return null;
+    throw err;
+  });
+
+// Copy the given keys of a nested object (hours, paymentOptions) onto the facility, rejecting unknown ones
+const setNested = (facility, field, values) => {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw badRequest(`${field} must be an object`);
+  }
+  Object.entries(values).forEach(([key, value]) => {
+    if (!Facility.schema.path(`${field}.${key}`)) {
+      throw badRequest(`Unknown ${field} field: ${key}`);
+    }
+    facility.set(`${field}.${key}`, value === null ? undefined : value);
+  });
+};
+
+// @desc    Get the facilities I manage
+// @route   GET /api/provider/facilities
+// @access  Private/Provider
+exports.getMyFacilities = async (req, res, next) => {
+  try {
+    const facilities = await Facility.find({ provider: req.user._id }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: facilities.length,
+      data: facilities.map(facility => ({ ...facility.toPublicJSON(), active: facility.active }))
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Get one facility I manage
+// @route   GET /api/provider/facilities/:id
+// @access  Private/Provider
+exports.getMyFacility = async (req, res, next) => {
+  try {
+    const facility = await findOwnFacility(req);
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        error: 'Facility not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...facility.toPublicJSON(), active: facility.active }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Update hours, services, payment options or procedure costs of a facility I manage
+// @route   PUT /api/provider/facilities/:id
+// @access  Private/Provider
+exports.updateMyFacility = async (req, res, next) => {
+  try {
+    const facility = await findOwnFacility(req);
+
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        error: 'Facility not found'
+      });
+    }
+
+    const fields = Object.keys(req.body);
+    const notAllowed = fields.filter(field => !PROVIDER_FIELDS.includes(field));
+    if (notAllowed.length > 0 || fields.length === 0) {
+      throw badRequest(`Providers can update ${PROVIDER_FIELDS.join(', ')}; use the contact form for other changes`);
+    }
+
+    const before = snapshotOf(facility);
+    const { hours, services, paymentOptions, procedureCosts } = req.body;
+    if (hours !== undefined) setNested(facility, 'hours', hours);
+    if (paymentOptions !== undefined) setNested(facility, 'paymentOptions', paymentOptions);
+    if (services !== undefined) facility.services = services;
+    if (procedureCosts !== undefined) facility.procedureCosts = procedureCosts;
+
+    facility.providerUpdatedAt = Date.now();
+    await facility.save();
+    await recordRevision(facility, { action: 'update', before, user: req.user, source: 'provider' });
+
+    res.status(200).json({
+      success: true,
+      data: { ...facility.toPublicJSON(), active: facility.active }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,261 @@
+// controllers/reviewController.js
+const Review = require('../models/Review');
+const Facility = require('../models/Facility');
+
+// Sort orders accepted by the listing endpoint
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+  helpful: { helpful: -1, createdAt: -1 }
+};
+
+// Fields a reviewer may set or change
+const pickReviewFields = body => {
+  const fields = {};
+  ['rating', 'comment', 'helpfulness', 'tags'].forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  return fields;
+};
+
+// Find a review that belongs to the facility in the URL; hidden reviews only when asked for
+const findFacilityReview = (req, { includeHidden = false } = {}) => Review.findOne({
+  _id: req.params.id,
+  facility: req.params.facilityId,
+  ...(includeHidden ? {} : { hidden: { $ne: true } })
+});
+
+const notFound = (res, what) => res.status(404).json({
+  success: false,
+  error: `${what} not found`
+});
+
+// @desc    Get reviews for a facility
+// @route   GET /api/facilities/:facilityId/reviews
+// @access  Public
+exports.getReviews = async (req, res, next) => {
+  try {
+    const sort = SORT_OPTIONS[req.query.sort] || SORT_OPTIONS.newest;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const query = { facility: req.params.facilityId, hidden: { $ne: true } };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-helpfulVotes -reports')
+        .populate('user', 'firstName'),
+      Review.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: reviews
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res, 'Facility');
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    Add a review for a facility
+// @route   POST /api/facilities/:facilityId/reviews
+// @access  Private
+exports.addReview = async (req, res, next) => {
+  try {
+    const facility = await Facility.findById(req.params.facilityId);
+
+    if (!facility || !facility.active) {
+      return notFound(res, 'Facility');
+    }
+
+    const review = await Review.create({
+      ...pickReviewFields(req.body),
+      facility: facility._id,
+      user: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: review
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res, 'Facility');
+    if (err.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'You have already reviewed this facility'
+      });
+    }
+    res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+};
+
+// @desc    Update your own review
+// @route   PUT /api/facilities/:facilityId/reviews/:id
+// @access  Private
+exports.updateReview = async (req, res, next) => {
+  try {
+    const review = await findFacilityReview(req, { includeHidden: true });
+
+    if (!review) {
+      return notFound(res, 'Review');
+    }
+
+    if (review.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to update this review'
+      });
+    }
+
+    review.set(pickReviewFields(req.body));
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      data: review
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res, 'Review');
+    res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+};
+
+// @desc    Delete a review
+// @route   DELETE /api/facilities/:facilityId/reviews/:id
+// @access  Private (owner or admin)
+exports.deleteReview = async (req, res, next) => {
+  try {
+    const review = await findFacilityReview(req, { includeHidden: true });
+
+    if (!review) {
+      return notFound(res, 'Review');
+    }
+
+    if (review.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to delete this review'
+      });
+    }
+
+    await review.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res, 'Review');
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    Mark a review as helpful
+// @route   POST /api/facilities/:facilityId/reviews/:id/helpful
+// @access  Private
+exports.markHelpful = async (req, res, next) => {
+  try {
+    const review = await findFacilityReview(req);
+
+    if (!review) {
+      return notFound(res, 'Review');
+    }
+
+    if (review.user.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot mark your own review as helpful'
+      });
+    }
+
+    // Marking twice is a no-op, so each user counts once
+    const updated = await Review.findOneAndUpdate(
+      { _id: review._id, helpfulVotes: { $ne: req.user._id } },
+      { $addToSet: { helpfulVotes: req.user._id }, $inc: { helpful: 1 } },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: review._id,
+        helpful: (updated || review).helpful
+      }
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res, 'Review');
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    Report a review for moderation
+// @route   POST /api/facilities/:facilityId/reviews/:id/report
+// @access  Private
+exports.reportReview = async (req, res, next) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please give a reason for reporting this review'
+      });
+    }
+
+    const review = await findFacilityReview(req);
+
+    if (!review) {
+      return notFound(res, 'Review');
+    }
+
+    if (review.reports.some(report => report.user && report.user.toString() === req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You have already reported this review'
+      });
+    }
+
+    review.reports.push({ user: req.user._id, reason });
+    review.reported = true;
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res, 'Review');
+    res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+};
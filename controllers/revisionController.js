@@ -0,0 +1,133 @@
+// controllers/revisionController.js
+const Facility = require('../models/Facility');
+const FacilityRevision = require('../models/FacilityRevision');
+const { snapshotOf, diffSnapshots, recordRevision, applySnapshot } = require('../utils/facilityRevisions');
+
+const sendError = (res, err) => {
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.statusCode ? err.message : 'Server Error'
+  });
+};
+
+const notFound = (res, what = 'Facility') => res.status(404).json({
+  success: false,
+  error: `${what} not found`
+});
+
+// Admins see every facility's history; providers only their own facility's
+const findFacility = async req => {
+  const query = { _id: req.params.id };
+  if (req.user.role !== 'admin') query.provider = req.user._id;
+
+  return Facility.findOne(query).catch(err => {
+    if (err.name === 'CastError') return null;
+    throw err;
+  });
+};
+
+const findRevision = (facility, revision) => FacilityRevision.findOne({
+  facility: facility._id,
+  revision: parseInt(revision, 10) || 0
+}).populate('author', 'firstName lastName email');
+
+// @desc    List a facility's revisions, newest first
+// @route   GET /api/facilities/:id/revisions
+// @access  Private/Admin, or the facility's provider
+exports.getRevisions = async (req, res, next) => {
+  try {
+    const facility = await findFacility(req);
+
+    if (!facility) {
+      return notFound(res);
+    }
+
+    const revisions = await FacilityRevision.find({ facility: facility._id })
+      .select('-snapshot')
+      .sort({ revision: -1 })
+      .limit(200)
+      .populate('author', 'firstName lastName email');
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Get one revision with the facility as it was after it; ?compare=current adds a diff
+//          from that version to the facility as it is now
+// @route   GET /api/facilities/:id/revisions/:revision
+// @access  Private/Admin, or the facility's provider
+exports.getRevision = async (req, res, next) => {
+  try {
+    const facility = await findFacility(req);
+
+    if (!facility) {
+      return notFound(res);
+    }
+
+    const revision = await findRevision(facility, req.params.revision);
+
+    if (!revision) {
+      return notFound(res, 'Revision');
+    }
+
+    const data = revision.toObject();
+    if (req.query.compare === 'current') {
+      data.diffToCurrent = diffSnapshots(revision.snapshot, snapshotOf(facility));
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Restore the facility to the version saved in a revision; recorded as a new revision
+// @route   POST /api/facilities/:id/revisions/:revision/rollback
+// @access  Private/Admin
+exports.rollbackRevision = async (req, res, next) => {
+  try {
+    const facility = await findFacility(req);
+
+    if (!facility) {
+      return notFound(res);
+    }
+
+    const revision = await findRevision(facility, req.params.revision);
+
+    if (!revision) {
+      return notFound(res, 'Revision');
+    }
+
+    const before = snapshotOf(facility);
+    applySnapshot(facility, revision.snapshot);
+    await facility.save();
+
+    const rollback = await recordRevision(facility, {
+      action: 'rollback',
+      before,
+      user: req.user,
+      rolledBackTo: revision.revision
+    });
+
+    res.status(200).json({
+      success: true,
+      // null when the facility already matched that version
+      revision: rollback ? rollback.revision : null,
+      data: facility.toPublicJSON()
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,259 @@
+// controllers/savedSearchController.js
+const SavedSearch = require('../models/SavedSearch');
+const { runSavedSearch } = require('../utils/savedSearchAlerts');
+
+// Keep per-user lists bounded
+const MAX_SAVED_SEARCHES = 20;
+
+// Search parameters a saved search stores; changing any of them resets its matches
+const SEARCH_FIELDS = ['location', 'radius', 'units', 'careType', 'paymentOptions'];
+
+const sendError = (res, err) => {
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.statusCode ? err.message : 'Server Error'
+  });
+};
+
+const notFound = (res, what = 'Saved search') => res.status(404).json({
+  success: false,
+  error: `${what} not found`
+});
+
+// Saved searches are only visible to their owner, so someone else's id reads as not found
+const findOwnSavedSearch = req => SavedSearch.findOne({ _id: req.params.id, user: req.user._id })
+  .select('-matches')
+  .catch(err => {
+    if (err.name === 'CastError') return null;
+    throw err;
+  });
+
+const createForUser = async (user, fields) => {
+  const count = await SavedSearch.countDocuments({ user: user._id });
+  if (count >= MAX_SAVED_SEARCHES) {
+    const error = new Error(`You can have up to ${MAX_SAVED_SEARCHES} saved searches`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return SavedSearch.create({ ...fields, user: user._id });
+};
+
+// @desc    Get search history, newest first
+// @route   GET /api/users/me/history
+// @access  Private
+exports.getHistory = async (req, res, next) => {
+  try {
+    const history = req.user.searchHistory.slice().reverse();
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Clear search history
+// @route   DELETE /api/users/me/history
+// @access  Private
+exports.clearHistory = async (req, res, next) => {
+  try {
+    req.user.searchHistory = [];
+    await req.user.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Remove one search history entry
+// @route   DELETE /api/users/me/history/:entryId
+// @access  Private
+exports.deleteHistoryEntry = async (req, res, next) => {
+  try {
+    const entry = req.user.searchHistory.find(item => String(item._id) === req.params.entryId);
+
+    if (!entry) {
+      return notFound(res, 'History entry');
+    }
+
+    req.user.searchHistory.pull(entry);
+    await req.user.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Turn a history entry into a saved search
+// @route   POST /api/users/me/history/:entryId/save
+// @access  Private
+exports.saveHistoryEntry = async (req, res, next) => {
+  try {
+    const entry = req.user.searchHistory.find(item => String(item._id) === req.params.entryId);
+
+    if (!entry) {
+      return notFound(res, 'History entry');
+    }
+
+    const savedSearch = await createForUser(req.user, {
+      name: req.body.name || entry.location,
+      location: entry.location,
+      radius: entry.radius,
+      units: entry.units,
+      careType: entry.careType,
+      paymentOptions: entry.paymentOptions,
+      alertsEnabled: req.body.alertsEnabled
+    });
+
+    res.status(201).json({
+      success: true,
+      data: savedSearch
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Get saved searches
+// @route   GET /api/users/me/saved-searches
+// @access  Private
+exports.getSavedSearches = async (req, res, next) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id })
+      .select('-matches')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: savedSearches.length,
+      data: savedSearches
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Create a saved search
+// @route   POST /api/users/me/saved-searches
+// @access  Private
+exports.createSavedSearch = async (req, res, next) => {
+  try {
+    const fields = { name: req.body.name || req.body.location, alertsEnabled: req.body.alertsEnabled };
+    SEARCH_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const savedSearch = await createForUser(req.user, fields);
+
+    res.status(201).json({
+      success: true,
+      data: savedSearch
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Update a saved search
+// @route   PUT /api/users/me/saved-searches/:id
+// @access  Private
+exports.updateSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await findOwnSavedSearch(req);
+
+    if (!savedSearch) {
+      return notFound(res);
+    }
+
+    if (req.body.name !== undefined) savedSearch.name = req.body.name;
+    if (req.body.alertsEnabled !== undefined) savedSearch.alertsEnabled = req.body.alertsEnabled;
+
+    const searchChanged = SEARCH_FIELDS.some(field => req.body[field] !== undefined);
+    SEARCH_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) savedSearch[field] = req.body[field];
+    });
+
+    // Different parameters mean different matches; the next run records a fresh baseline
+    if (searchChanged) {
+      savedSearch.matches = [];
+      savedSearch.lastRunAt = undefined;
+    }
+
+    await savedSearch.save();
+
+    res.status(200).json({
+      success: true,
+      data: savedSearch
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Delete a saved search
+// @route   DELETE /api/users/me/saved-searches/:id
+// @access  Private
+exports.deleteSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await findOwnSavedSearch(req);
+
+    if (!savedSearch) {
+      return notFound(res);
+    }
+
+    await savedSearch.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Run a saved search now
+// @route   GET /api/users/me/saved-searches/:id/results?locale=
+// @access  Private
+exports.getSavedSearchResults = async (req, res, next) => {
+  try {
+    const savedSearch = await findOwnSavedSearch(req);
+
+    if (!savedSearch) {
+      return notFound(res);
+    }
+
+    const result = await runSavedSearch(savedSearch, { locale: req.query.locale });
+
+    res.status(200).json({
+      success: true,
+      location: result.coordinates.displayName,
+      searchCoordinates: {
+        lat: result.coordinates.lat,
+        lon: result.coordinates.lon
+      },
+      radius: result.radius,
+      units: result.units,
+      locale: result.locale,
+      totalProviders: result.providers.length,
+      providers: result.providers
+    });
+  } catch (err) {
+    console.error('Saved search results error:', err);
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,380 @@
+// controllers/shortlistController.js
+const Shortlist = require('../models/Shortlist');
+const {
+  parseFacilityKey,
+  matchesFacilityKey,
+  buildFacilityRef,
+  resolveFacilityRefs
+} = require('../utils/facilityRefs');
+
+// Keep per-user lists bounded
+const MAX_SAVED = 500;
+const MAX_SHORTLISTS = 50;
+const MAX_SHORTLIST_ITEMS = 100;
+
+// Fields a client may send about an OSM result, used if Overpass can't be reached
+const refParams = body => ({
+  type: body.type,
+  id: body.id,
+  note: body.note,
+  name: body.name,
+  facilityType: body.facilityType,
+  address: body.address,
+  lat: body.lat,
+  lon: body.lon
+});
+
+const sendError = (res, err) => {
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.statusCode ? err.message : 'Server Error'
+  });
+};
+
+const shortlistNotFound = res => res.status(404).json({
+  success: false,
+  error: 'Shortlist not found'
+});
+
+const itemNotFound = res => res.status(404).json({
+  success: false,
+  error: 'Facility is not in this list'
+});
+
+// Shortlists are only visible to their owner, so someone else's id reads as not found
+const findOwnShortlist = req => Shortlist.findOne({ _id: req.params.id, user: req.user._id })
+  .catch(err => {
+    if (err.name === 'CastError') return null;
+    throw err;
+  });
+
+const withItems = async shortlist => ({
+  ...shortlist.toObject(),
+  items: await resolveFacilityRefs(shortlist.items)
+});
+
+// @desc    Get saved facilities
+// @route   GET /api/users/me/saved
+// @access  Private
+exports.getSaved = async (req, res, next) => {
+  try {
+    const saved = await resolveFacilityRefs(req.user.savedFacilities);
+
+    res.status(200).json({
+      success: true,
+      count: saved.length,
+      data: saved
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Save a facility or OSM result
+// @route   POST /api/users/me/saved
+// @access  Private
+exports.addSaved = async (req, res, next) => {
+  try {
+    const { type, id, note } = req.body;
+    const parsed = parseFacilityKey(type, id);
+    const existing = req.user.savedFacilities.find(ref => matchesFacilityKey(ref, parsed));
+
+    // Saving twice just updates the note
+    if (existing) {
+      if (note !== undefined) existing.note = note;
+    } else {
+      if (req.user.savedFacilities.length >= MAX_SAVED) {
+        return res.status(400).json({
+          success: false,
+          error: `You can save up to ${MAX_SAVED} facilities`
+        });
+      }
+      req.user.savedFacilities.push(await buildFacilityRef(refParams(req.body)));
+    }
+
+    await req.user.save();
+    const [saved] = await resolveFacilityRefs([
+      req.user.savedFacilities.find(ref => matchesFacilityKey(ref, parsed))
+    ]);
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      data: saved
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Update the note on a saved facility
+// @route   PUT /api/users/me/saved/:type/:id
+// @access  Private
+exports.updateSaved = async (req, res, next) => {
+  try {
+    const parsed = parseFacilityKey(req.params.type, req.params.id);
+    const ref = req.user.savedFacilities.find(entry => matchesFacilityKey(entry, parsed));
+
+    if (!ref) {
+      return itemNotFound(res);
+    }
+
+    ref.note = req.body.note;
+    await req.user.save();
+    const [saved] = await resolveFacilityRefs([ref]);
+
+    res.status(200).json({
+      success: true,
+      data: saved
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Remove a saved facility
+// @route   DELETE /api/users/me/saved/:type/:id
+// @access  Private
+exports.removeSaved = async (req, res, next) => {
+  try {
+    const parsed = parseFacilityKey(req.params.type, req.params.id);
+    const ref = req.user.savedFacilities.find(entry => matchesFacilityKey(entry, parsed));
+
+    if (!ref) {
+      return itemNotFound(res);
+    }
+
+    req.user.savedFacilities.pull(ref);
+    await req.user.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Get the user's shortlists
+// @route   GET /api/users/me/shortlists
+// @access  Private
+exports.getShortlists = async (req, res, next) => {
+  try {
+    const shortlists = await Shortlist.find({ user: req.user._id }).sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: shortlists.length,
+      data: await Promise.all(shortlists.map(withItems))
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Create a shortlist
+// @route   POST /api/users/me/shortlists
+// @access  Private
+exports.createShortlist = async (req, res, next) => {
+  try {
+    const count = await Shortlist.countDocuments({ user: req.user._id });
+    if (count >= MAX_SHORTLISTS) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have up to ${MAX_SHORTLISTS} shortlists`
+      });
+    }
+
+    const shortlist = await Shortlist.create({
+      user: req.user._id,
+      name: req.body.name,
+      description: req.body.description
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await withItems(shortlist)
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have a shortlist with that name'
+      });
+    }
+    sendError(res, err);
+  }
+};
+
+// @desc    Get a shortlist
+// @route   GET /api/users/me/shortlists/:id
+// @access  Private
+exports.getShortlist = async (req, res, next) => {
+  try {
+    const shortlist = await findOwnShortlist(req);
+
+    if (!shortlist) {
+      return shortlistNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await withItems(shortlist)
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Rename a shortlist or change its description
+// @route   PUT /api/users/me/shortlists/:id
+// @access  Private
+exports.updateShortlist = async (req, res, next) => {
+  try {
+    const shortlist = await findOwnShortlist(req);
+
+    if (!shortlist) {
+      return shortlistNotFound(res);
+    }
+
+    if (req.body.name !== undefined) shortlist.name = req.body.name;
+    if (req.body.description !== undefined) shortlist.description = req.body.description;
+    await shortlist.save();
+
+    res.status(200).json({
+      success: true,
+      data: await withItems(shortlist)
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have a shortlist with that name'
+      });
+    }
+    sendError(res, err);
+  }
+};
+
+// @desc    Delete a shortlist
+// @route   DELETE /api/users/me/shortlists/:id
+// @access  Private
+exports.deleteShortlist = async (req, res, next) => {
+  try {
+    const shortlist = await findOwnShortlist(req);
+
+    if (!shortlist) {
+      return shortlistNotFound(res);
+    }
+
+    await shortlist.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Add a facility or OSM result to a shortlist
+// @route   POST /api/users/me/shortlists/:id/items
+// @access  Private
+exports.addShortlistItem = async (req, res, next) => {
+  try {
+    const shortlist = await findOwnShortlist(req);
+
+    if (!shortlist) {
+      return shortlistNotFound(res);
+    }
+
+    const { type, id, note } = req.body;
+    const parsed = parseFacilityKey(type, id);
+    const existing = shortlist.items.find(ref => matchesFacilityKey(ref, parsed));
+
+    if (existing) {
+      if (note !== undefined) existing.note = note;
+    } else {
+      if (shortlist.items.length >= MAX_SHORTLIST_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          error: `A shortlist can hold up to ${MAX_SHORTLIST_ITEMS} facilities`
+        });
+      }
+      shortlist.items.push(await buildFacilityRef(refParams(req.body)));
+    }
+
+    await shortlist.save();
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      data: await withItems(shortlist)
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Update the note on a shortlist item
+// @route   PUT /api/users/me/shortlists/:id/items/:type/:itemId
+// @access  Private
+exports.updateShortlistItem = async (req, res, next) => {
+  try {
+    const shortlist = await findOwnShortlist(req);
+
+    if (!shortlist) {
+      return shortlistNotFound(res);
+    }
+
+    const parsed = parseFacilityKey(req.params.type, req.params.itemId);
+    const ref = shortlist.items.find(entry => matchesFacilityKey(entry, parsed));
+
+    if (!ref) {
+      return itemNotFound(res);
+    }
+
+    ref.note = req.body.note;
+    await shortlist.save();
+
+    res.status(200).json({
+      success: true,
+      data: await withItems(shortlist)
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Remove an item from a shortlist
+// @route   DELETE /api/users/me/shortlists/:id/items/:type/:itemId
+// @access  Private
+exports.removeShortlistItem = async (req, res, next) => {
+  try {
+    const shortlist = await findOwnShortlist(req);
+
+    if (!shortlist) {
+      return shortlistNotFound(res);
+    }
+
+    const parsed = parseFacilityKey(req.params.type, req.params.itemId);
+    const ref = shortlist.items.find(entry => matchesFacilityKey(entry, parsed));
+
+    if (!ref) {
+      return itemNotFound(res);
+    }
+
+    shortlist.items.pull(ref);
+    await shortlist.save();
+
+    res.status(200).json({
+      success: true,
+      data: await withItems(shortlist)
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,323 @@
+// controllers/subscriberController.js
+const mongoose = require('mongoose');
+const Subscriber = require('../models/Subscriber');
+const { sendMail, appUrl } = require('../utils/mailer');
+const { toCsv } = require('../utils/csv');
+
+// Don't send another confirmation email to the same address more often than this
+const RESEND_INTERVAL_MS = 5 * 60 * 1000;
+
+const TOPIC_LABELS = {
+  newsletter: 'CareConnect newsletter',
+  screening_events: 'Free health screening events',
+  new_facilities: 'New low-cost facilities near your PIN code'
+};
+
+const EXPORT_COLUMNS = [
+  { header: 'email', value: subscriber => subscriber.email },
+  { header: 'topics', value: subscriber => subscriber.topics },
+  { header: 'pinCode', value: subscriber => subscriber.pinCode },
+  { header: 'confirmedAt', value: subscriber => subscriber.confirmedAt },
+  { header: 'createdAt', value: subscriber => subscriber.createdAt }
+];
+
+// Same answer for new, pending and already confirmed addresses, so this can't be used to probe the list
+const checkInbox = {
+  success: true,
+  data: 'Check your inbox for an email to confirm your subscription'
+};
+
+const sendError = (res, err) => {
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.statusCode ? err.message : 'Server Error'
+  });
+};
+
+const emailFailed = res => res.status(500).json({
+  success: false,
+  error: 'Email could not be sent'
+});
+
+const toTopics = topics => (topics === undefined ? undefined : [].concat(topics));
+
+const manageUrl = (req, subscriber) =>
+  `${appUrl(req)}/newsletter/unsubscribe?id=${subscriber._id}&sig=${subscriber.getSignature()}`;
+
+const describeTopics = subscriber => subscriber.topics
+  .map(topic => {
+    const label = TOPIC_LABELS[topic] || topic;
+    return topic === 'new_facilities' ? `- ${label} (${subscriber.pinCode})` : `- ${label}`;
+  })
+  .join('\n');
+
+// Emails carry List-Unsubscribe so mail clients can offer one-click unsubscribe (RFC 8058)
+const unsubscribeHeaders = (req, subscriber) => ({
+  'List-Unsubscribe': `<${appUrl(req)}/api/subscribers/${subscriber._id}/unsubscribe?sig=${subscriber.getSignature()}>`,
+  'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+});
+
+const sendConfirmEmail = (req, subscriber, confirmToken) => sendMail({
+  to: subscriber.email,
+  subject: 'Confirm your CareConnect subscription',
+  text: [
+    'Thanks for subscribing to CareConnect updates. Please confirm your email address to start receiving:',
+    '',
+    describeTopics(subscriber),
+    '',
+    `${appUrl(req)}/newsletter/confirm?token=${confirmToken}`,
+    '',
+    'The link expires in 48 hours. If you did not sign up, ignore this email and you will not hear from us again.'
+  ].join('\n'),
+  headers: unsubscribeHeaders(req, subscriber)
+});
+
+const sendAlreadySubscribedEmail = (req, subscriber) => sendMail({
+  to: subscriber.email,
+  subject: 'You are already subscribed to CareConnect',
+  text: [
+    'Someone (hopefully you) asked to subscribe this address to CareConnect updates, but it is already subscribed to:',
+    '',
+    describeTopics(subscriber),
+    '',
+    'To change your topics or unsubscribe, use this link:',
+    '',
+    manageUrl(req, subscriber)
+  ].join('\n'),
+  headers: unsubscribeHeaders(req, subscriber)
+});
+
+// Find the subscriber for a signed preferences/unsubscribe link
+const findSigned = async req => {
+  if (!mongoose.isValidObjectId(req.params.id) || !Subscriber.verifySignature(req.params.id, req.query.sig)) {
+    const error = new Error('This subscription link is invalid');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const subscriber = await Subscriber.findById(req.params.id);
+  if (!subscriber) {
+    const error = new Error('Subscription not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return subscriber;
+};
+
+// @desc    Subscribe to email updates; a confirmation email is sent before anything else
+// @route   POST /api/subscribers
+// @access  Public
+exports.subscribe = async (req, res, next) => {
+  try {
+    const { email, pinCode } = req.body;
+    const topics = toTopics(req.body.topics);
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide an email'
+      });
+    }
+
+    let subscriber = await Subscriber.findOne({ email: String(email).trim().toLowerCase() });
+
+    if (subscriber && subscriber.confirmSentAt && Date.now() - subscriber.confirmSentAt < RESEND_INTERVAL_MS) {
+      return res.status(200).json(checkInbox);
+    }
+
+    // Confirmed subscribers change topics through their signed link, not an unauthenticated form
+    if (subscriber && subscriber.status === 'confirmed') {
+      subscriber.confirmSentAt = Date.now();
+      await subscriber.save();
+      try {
+        await sendAlreadySubscribedEmail(req, subscriber);
+      } catch (err) {
+        console.error('Subscription email error:', err);
+        return emailFailed(res);
+      }
+      return res.status(200).json(checkInbox);
+    }
+
+    if (!subscriber) {
+      subscriber = new Subscriber({ email });
+    }
+    if (topics !== undefined) subscriber.topics = topics;
+    if (pinCode !== undefined) subscriber.pinCode = pinCode || undefined;
+    subscriber.status = 'pending';
+
+    const confirmToken = subscriber.getConfirmToken();
+    await subscriber.save();
+
+    try {
+      await sendConfirmEmail(req, subscriber, confirmToken);
+    } catch (err) {
+      console.error('Subscription email error:', err);
+      // Let the address try again straight away
+      subscriber.confirmSentAt = undefined;
+      await subscriber.save();
+
+      return emailFailed(res);
+    }
+
+    res.status(200).json(checkInbox);
+  } catch (err) {
+    // Two requests for a new address at once; the first one's email is on its way
+    if (err.code === 11000) {
+      return res.status(200).json(checkInbox);
+    }
+    sendError(res, err);
+  }
+};
+
+// @desc    Confirm a subscription with the emailed token
+// @route   POST /api/subscribers/confirm/:token
+// @access  Public
+exports.confirmSubscription = async (req, res, next) => {
+  try {
+    const subscriber = await Subscriber.findOne({
+      confirmToken: Subscriber.hashToken(req.params.token),
+      confirmExpire: { $gt: Date.now() }
+    });
+
+    if (!subscriber) {
+      return res.status(400).json({
+        success: false,
+        error: 'This confirmation link is invalid or has expired'
+      });
+    }
+
+    subscriber.status = 'confirmed';
+    subscriber.confirmedAt = Date.now();
+    subscriber.unsubscribedAt = undefined;
+    subscriber.confirmToken = undefined;
+    subscriber.confirmExpire = undefined;
+    await subscriber.save();
+
+    // Following the emailed link proves ownership, so hand back the signature for the preferences page
+    res.status(200).json({
+      success: true,
+      data: { ...subscriber.toPublicJSON(), signature: subscriber.getSignature() }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Get subscription preferences from a signed link
+// @route   GET /api/subscribers/:id?sig=
+// @access  Public (signed link)
+exports.getPreferences = async (req, res, next) => {
+  try {
+    const subscriber = await findSigned(req);
+
+    res.status(200).json({
+      success: true,
+      data: subscriber.toPublicJSON()
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Change topics or PIN code from a signed link
+// @route   PUT /api/subscribers/:id?sig=
+// @access  Public (signed link)
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    const subscriber = await findSigned(req);
+
+    if (subscriber.status !== 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only confirmed subscriptions can be changed; subscribe again to restart'
+      });
+    }
+
+    const topics = toTopics(req.body.topics);
+    if (topics !== undefined) subscriber.topics = topics;
+    if (req.body.pinCode !== undefined) subscriber.pinCode = req.body.pinCode || undefined;
+    await subscriber.save();
+
+    res.status(200).json({
+      success: true,
+      data: subscriber.toPublicJSON()
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Unsubscribe from all topics; also the target of one-click List-Unsubscribe posts
+// @route   POST /api/subscribers/:id/unsubscribe?sig=
+// @access  Public (signed link)
+exports.unsubscribe = async (req, res, next) => {
+  try {
+    const subscriber = await findSigned(req);
+
+    if (subscriber.status !== 'unsubscribed') {
+      subscriber.status = 'unsubscribed';
+      subscriber.unsubscribedAt = Date.now();
+      subscriber.confirmToken = undefined;
+      subscriber.confirmExpire = undefined;
+      await subscriber.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: subscriber.toPublicJSON()
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Export confirmed subscribers
+// @route   GET /api/subscribers/export?format=csv|json&topic=&pinCode=
+// @access  Private/Admin
+exports.exportSubscribers = async (req, res, next) => {
+  try {
+    const { format = 'csv', topic, pinCode } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: "format must be 'csv' or 'json'"
+      });
+    }
+    if (topic !== undefined && !Subscriber.TOPICS.includes(topic)) {
+      return res.status(400).json({
+        success: false,
+        error: `topic must be one of: ${Subscriber.TOPICS.join(', ')}`
+      });
+    }
+
+    const query = { status: 'confirmed' };
+    if (topic) query.topics = topic;
+    if (pinCode) query.pinCode = String(pinCode);
+
+    const subscribers = await Subscriber.find(query)
+      .select('email topics pinCode confirmedAt createdAt')
+      .sort({ confirmedAt: 1 })
+      .lean();
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        count: subscribers.length,
+        data: subscribers.map(({ _id, __v, ...subscriber }) => subscriber)
+      });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res
+      .status(200)
+      .type('text/csv')
+      .attachment(`subscribers-${date}.csv`)
+      .send(toCsv(EXPORT_COLUMNS, subscribers));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
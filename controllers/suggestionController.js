@@ -0,0 +1,346 @@
+// controllers/suggestionController.js
+const Facility = require('../models/Facility');
+const EditSuggestion = require('../models/EditSuggestion');
+const Notification = require('../models/Notification');
+const { snapshotOf, recordRevision } = require('../utils/facilityRevisions');
+
+// Fields the community can suggest changes to, keyed by the request field.
+// Nested fields take an object of sub-fields, e.g. {hours: {monday: '9:00-17:00'}}.
+const SUGGESTABLE_FIELDS = {
+  hours: { nested: true, type: 'string' },
+  phone: { path: 'contact.phone', type: 'string' },
+  services: { path: 'services', type: 'list' },
+  paymentOptions: { nested: true, type: 'boolean' },
+  accessibility: { nested: true, type: 'boolean' }
+};
+
+const MAX_TEXT_LENGTH = 200;
+const MAX_SERVICES = 50;
+
+const QUEUE_FILTERS = {
+  pending: { status: 'pending' },
+  reviewed: { status: 'reviewed' },
+  all: {}
+};
+
+const sendError = (res, err) => {
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.statusCode ? err.message : 'Server Error'
+  });
+};
+
+const badRequest = message => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const notFound = (res, what = 'Suggestion') => res.status(404).json({
+  success: false,
+  error: `${what} not found`
+});
+
+// JSON-safe copy of a facility value for storing and comparing
+const plain = value => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Check and tidy a proposed value for its field type
+const normalizeValue = (type, value, path) => {
+  if (type === 'boolean') {
+    if (typeof value !== 'boolean') throw badRequest(`${path} must be true or false`);
+    return value;
+  }
+  if (type === 'list') {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      throw badRequest(`${path} must be a list of strings`);
+    }
+    const items = value.map(item => item.trim()).filter(Boolean);
+    if (items.length > MAX_SERVICES || items.some(item => item.length > MAX_TEXT_LENGTH)) {
+      throw badRequest(`${path} can have up to ${MAX_SERVICES} entries of ${MAX_TEXT_LENGTH} characters`);
+    }
+    return items;
+  }
+  if (value !== null && typeof value !== 'string') throw badRequest(`${path} must be text`);
+  const text = value === null ? '' : value.trim();
+  if (text.length > MAX_TEXT_LENGTH) throw badRequest(`${path} can not be more than ${MAX_TEXT_LENGTH} characters`);
+  // An empty value proposes clearing the field
+  return text || null;
+};
+
+/**
+ * Turn the request's changes object into per-field entries, skipping values that already match
+ * @param {Object} facility - Facility document
+ * @param {Object} input - e.g. {hours: {monday: '9:00-17:00'}, phone: '...', services: [...]}
+ * @returns {Array} - [{path, current, proposed}]
+ */
+const toChanges = (facility, input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw badRequest('changes must be an object');
+  }
+
+  const changes = [];
+  Object.entries(input).forEach(([key, value]) => {
+    const field = SUGGESTABLE_FIELDS[key];
+    if (!field) {
+      throw badRequest(`Suggestions can change ${Object.keys(SUGGESTABLE_FIELDS).join(', ')}`);
+    }
+    if (field.nested && (!value || typeof value !== 'object' || Array.isArray(value))) {
+      throw badRequest(`${key} must be an object`);
+    }
+
+    const entries = field.nested
+      ? Object.entries(value).map(([subField, subValue]) => [`${key}.${subField}`, subValue])
+      : [[field.path, value]];
+
+    entries.forEach(([path, proposedValue]) => {
+      if (!Facility.schema.path(path)) throw badRequest(`Unknown field: ${path}`);
+
+      const proposed = normalizeValue(field.type, proposedValue, path);
+      const current = plain(facility.get(path));
+      if (JSON.stringify(current) === JSON.stringify(proposed)) return;
+
+      changes.push({ path, current, proposed });
+    });
+  });
+
+  return changes;
+};
+
+// Admins review every suggestion; providers only those for facilities they manage
+const managedFacilityIds = req => (req.user.role === 'admin'
+  ? null
+  : Facility.find({ provider: req.user._id }).distinct('_id'));
+
+const findReviewable = async req => {
+  const suggestion = await EditSuggestion.findById(req.params.id).catch(err => {
+    if (err.name === 'CastError') return null;
+    throw err;
+  });
+  if (!suggestion) return null;
+
+  const managed = await managedFacilityIds(req);
+  if (managed && !managed.some(id => id.equals(suggestion.facility))) return null;
+  return suggestion;
+};
+
+// @desc    Suggest changes to a facility's hours, phone, services, payment options or accessibility
+// @route   POST /api/facilities/:id/suggestions
+// @access  Private
+exports.createSuggestion = async (req, res, next) => {
+  try {
+    const facility = await Facility.findOne({ _id: req.params.id, active: true }).catch(err => {
+      if (err.name === 'CastError') return null;
+      throw err;
+    });
+
+    if (!facility) {
+      return notFound(res, 'Facility');
+    }
+
+    const pending = await EditSuggestion.exists({
+      facility: facility._id,
+      user: req.user._id,
+      status: 'pending'
+    });
+    if (pending) {
+      throw badRequest('You already have a suggestion waiting for review for this facility');
+    }
+
+    const changes = toChanges(facility, req.body.changes);
+    if (changes.length === 0) {
+      throw badRequest('The suggested values match what is already listed');
+    }
+
+    const suggestion = await EditSuggestion.create({
+      facility: facility._id,
+      user: req.user._id,
+      changes,
+      comment: req.body.comment
+    });
+
+    res.status(201).json({
+      success: true,
+      data: suggestion
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Get my suggestions
+// @route   GET /api/suggestions/mine
+// @access  Private
+exports.getMySuggestions = async (req, res, next) => {
+  try {
+    const suggestions = await EditSuggestion.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('facility', 'name facilityType');
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    List the review queue, oldest first
+// @route   GET /api/suggestions?status=pending|reviewed|all&facility=<id>
+// @access  Private/Admin, or providers for their facilities
+exports.getSuggestions = async (req, res, next) => {
+  try {
+    const query = { ...(QUEUE_FILTERS[req.query.status] || QUEUE_FILTERS.pending) };
+    const managed = await managedFacilityIds(req);
+
+    if (req.query.facility) {
+      query.facility = req.query.facility;
+      if (managed && !managed.some(id => id.equals(req.query.facility))) {
+        return notFound(res, 'Facility');
+      }
+    } else if (managed) {
+      query.facility = { $in: managed };
+    }
+
+    const suggestions = await EditSuggestion.find(query)
+      .sort({ createdAt: 1 })
+      .limit(100)
+      .populate('facility', 'name facilityType')
+      .populate('user', 'firstName lastName email')
+      .populate('reviewedBy', 'firstName lastName email');
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return notFound(res, 'Facility');
+    sendError(res, err);
+  }
+};
+
+// @desc    Get one suggestion with each field's value as it is now
+// @route   GET /api/suggestions/:id
+// @access  Private/Admin, or the facility's provider
+exports.getSuggestion = async (req, res, next) => {
+  try {
+    const suggestion = await findReviewable(req);
+
+    if (!suggestion) {
+      return notFound(res);
+    }
+
+    const facility = await Facility.findById(suggestion.facility);
+    await suggestion.populate([
+      { path: 'user', select: 'firstName lastName email' },
+      { path: 'reviewedBy', select: 'firstName lastName email' }
+    ]);
+
+    const data = suggestion.toObject();
+    data.facility = facility ? { _id: facility._id, name: facility.name } : null;
+    // The listing may have changed since the suggestion was made
+    data.changes.forEach(change => {
+      change.now = facility ? plain(facility.get(change.path)) : null;
+    });
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Accept or reject a suggestion's changes field by field; accepted values are applied
+//          and recorded as a facility revision crediting the suggester
+// @route   PUT /api/suggestions/:id/review   body: {accept: [paths], reject: [paths], note}
+// @access  Private/Admin, or the facility's provider
+exports.reviewSuggestion = async (req, res, next) => {
+  try {
+    const suggestion = await findReviewable(req);
+
+    if (!suggestion) {
+      return notFound(res);
+    }
+
+    const accept = [].concat(req.body.accept || []);
+    const reject = [].concat(req.body.reject || []);
+    const decided = [...accept, ...reject];
+
+    if (decided.length === 0) {
+      throw badRequest('Please accept or reject at least one change');
+    }
+    if (new Set(decided).size !== decided.length) {
+      throw badRequest('Each change can only be accepted or rejected once');
+    }
+
+    const pendingChanges = new Map(suggestion.changes
+      .filter(change => change.status === 'pending')
+      .map(change => [change.path, change]));
+    const unknown = decided.filter(path => !pendingChanges.has(path));
+    if (unknown.length > 0) {
+      throw badRequest(`No pending change for: ${unknown.join(', ')}`);
+    }
+
+    if (accept.length > 0) {
+      const facility = await Facility.findById(suggestion.facility);
+      if (!facility) {
+        return notFound(res, 'Facility');
+      }
+
+      const before = snapshotOf(facility);
+      accept.forEach(path => {
+        const { proposed } = pendingChanges.get(path);
+        facility.set(path, proposed === null ? undefined : proposed);
+      });
+      if (facility.provider && facility.provider.equals(req.user._id)) {
+        facility.providerUpdatedAt = Date.now();
+      }
+      await facility.save();
+      await recordRevision(facility, {
+        action: 'update',
+        before,
+        user: req.user,
+        source: 'suggestion',
+        suggestion
+      });
+    }
+
+    accept.forEach(path => { pendingChanges.get(path).status = 'accepted'; });
+    reject.forEach(path => { pendingChanges.get(path).status = 'rejected'; });
+
+    suggestion.reviewedBy = req.user._id;
+    suggestion.reviewedAt = Date.now();
+    if (req.body.note !== undefined) suggestion.reviewNote = req.body.note;
+    if (suggestion.changes.every(change => change.status !== 'pending')) {
+      suggestion.status = 'reviewed';
+    }
+    await suggestion.save();
+
+    // Let the suggester know what happened; a failed notification shouldn't undo the review
+    const facilityName = (await Facility.findById(suggestion.facility).select('name') || {}).name;
+    await Notification.create({
+      user: suggestion.user,
+      type: 'suggestion_reviewed',
+      message: `Your suggested edit for ${facilityName || 'a facility'} was reviewed: ` +
+        `${accept.length} change(s) accepted, ${reject.length} rejected. Thank you!`,
+      suggestion: suggestion._id,
+      facilityKey: `facility/${suggestion.facility}`,
+      facilityName
+    }).catch(err => console.error('Suggestion notification error:', err));
+
+    res.status(200).json({
+      success: true,
+      data: suggestion
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
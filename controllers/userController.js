@@ -1,21 +1,26 @@
 // controllers/userController.js
 const User = require('../models/User');
+const Invitation = require('../models/Invitation');
 const jwt = require('jsonwebtoken');
+const { sendMail, appUrl } = require('../utils/mailer');
+
+// Invitation emails are lowercased but User emails keep the case they were registered with
+const findUserByEmail = email => User.findOne({ email }).collation({ locale: 'en', strength: 2 });
 
 // @desc    Register user
 // @route   POST /api/users/register
 // @access  Public
 exports.register = async (req, res, next) => {
   try {
-    const { firstName, lastName, email, password, role } = req.body;
+    const { firstName, lastName, email, password } = req.body;
     
-    // Create user
+    // Public sign-up only creates regular users; provider and admin accounts come from invitations
     const user = await User.create({
       firstName,
       lastName,
       email,
       password,
-      role: role || 'user'
+      role: 'user'
     });
     
     sendTokenResponse(user, 200, res);
@@ -90,6 +95,350 @@ exports.getMe = async (req, res, next) => {
   }
 };
 
+// @desc    Email a password reset link
+// @route   POST /api/users/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res, next) => {
+  // Same answer whether or not the account exists, so this can't be used to probe for emails
+  const sent = {
+    success: true,
+    data: 'If that email is registered, a password reset link has been sent to it'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email) });
+
+    if (!user) {
+      return res.status(200).json(sent);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${appUrl(req)}/reset-password?token=${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your CareConnect password',
+        text: [
+          `Hi ${user.firstName},`,
+          '',
+          'We received a request to reset your CareConnect password. Open this link to choose a new one:',
+          '',
+          resetUrl,
+          '',
+          'The link expires in 30 minutes and can only be used once.',
+          'If you did not ask for this, you can ignore this email and your password will stay the same.'
+        ].join('\n')
+      });
+    } catch (err) {
+      console.error('Password reset email error:', err);
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Email could not be sent'
+      });
+    }
+
+    res.status(200).json(sent);
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    Set a new password using an emailed reset token
+// @route   PUT /api/users/reset-password/:resetToken
+// @access  Public
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a new password'
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashResetToken(req.params.resetToken),
+      resetPasswordExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'This reset link is invalid or has expired'
+      });
+    }
+
+    // Clearing the token makes the link single-use
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    sendTokenResponse(user, 200, res);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    Invite someone to a provider or admin account
+// @route   POST /api/users/invitations
+// @access  Private/Admin
+exports.createInvitation = async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    const invitation = new Invitation({ email, role, invitedBy: req.user._id });
+    const inviteToken = invitation.getInviteToken();
+    await invitation.validate();
+
+    const existing = await findUserByEmail(invitation.email);
+    if (existing && (existing.role === role || existing.role === 'admin')) {
+      return res.status(400).json({
+        success: false,
+        error: `${invitation.email} already has the ${existing.role} role`
+      });
+    }
+
+    // Only the newest invitation for an address works
+    await Invitation.updateMany({ email: invitation.email, status: 'pending' }, { status: 'revoked' });
+    await invitation.save();
+
+    try {
+      await sendMail({
+        to: invitation.email,
+        subject: `You're invited to CareConnect as ${role === 'admin' ? 'an admin' : 'a provider'}`,
+        text: [
+          `${req.user.firstName} ${req.user.lastName} invited you to a CareConnect ${role} account.`,
+          existing
+            ? 'Sign in with your existing password on the page below to accept.'
+            : 'Open this link to set up your account:',
+          '',
+          `${appUrl(req)}/accept-invite?token=${inviteToken}`,
+          '',
+          'The invitation expires in 7 days.'
+        ].join('\n')
+      });
+    } catch (err) {
+      console.error('Invitation email error:', err);
+      await invitation.deleteOne();
+
+      return res.status(500).json({
+        success: false,
+        error: 'Email could not be sent'
+      });
+    }
+
+    // The token hash stays out of responses
+    const { token, ...data } = invitation.toObject();
+
+    res.status(201).json({
+      success: true,
+      data
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    List invitations, newest first
+// @route   GET /api/users/invitations?status=pending|accepted|revoked|all
+// @access  Private/Admin
+exports.getInvitations = async (req, res, next) => {
+  try {
+    const status = req.query.status || 'pending';
+    const query = status === 'all' ? {} : { status };
+
+    const invitations = await Invitation.find(query)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('invitedBy', 'firstName lastName email')
+      .populate('acceptedBy', 'firstName lastName email');
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/users/invitations/:id
+// @access  Private/Admin
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'revoked' },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending invitation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invitation
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending invitation not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    Look up an invitation from its emailed link
+// @route   GET /api/users/invitations/accept/:token
+// @access  Public
+exports.getInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        error: 'This invitation is invalid or has expired'
+      });
+    }
+
+    // The accept page asks for a password only when the account already exists
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+        existingAccount: Boolean(await User.exists({ email: invitation.email }))
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+// @desc    Accept an invitation, creating the account or upgrading an existing one
+// @route   POST /api/users/invitations/accept/:token
+// @access  Public
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const { firstName, lastName, password } = req.body;
+    const invitation = await Invitation.findByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        error: 'This invitation is invalid or has expired'
+      });
+    }
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a password'
+      });
+    }
+
+    let user = await findUserByEmail(invitation.email).select('+password');
+
+    if (user) {
+      // Existing accounts prove they are theirs with the current password
+      if (!(await user.matchPassword(password))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid credentials'
+        });
+      }
+      if (user.role !== 'admin') {
+        user.role = invitation.role;
+        await user.save();
+      }
+    } else {
+      user = await User.create({
+        firstName,
+        lastName,
+        email: invitation.email,
+        password,
+        role: invitation.role
+      });
+    }
+
+    invitation.status = 'accepted';
+    invitation.acceptedBy = user._id;
+    invitation.acceptedAt = Date.now();
+    await invitation.save();
+
+    sendTokenResponse(user, 200, res);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
 // Helper function to get token from model, create cookie and send response
 const sendTokenResponse = (user, statusCode, res) => {
   // Create token
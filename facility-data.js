@@ -0,0 +1,119 @@
+// facility-data.js - Import facilities from CSV/GeoJSON files, export them in the same formats and
+// rebuild their free-text search keys
+//
+// Usage:
+//   node facility-data.js import --file ./data/ngo-clinics.csv --dry-run
+//   node facility-data.js import --file ./clinics.csv --map "Clinic Name=name,Phone=contact.phone"
+//   node facility-data.js import --file ./clinics.geojson --on-duplicate update
+//   node facility-data.js export --format geojson --region "Tamil Nadu" --type clinic --cost-level 0,1 --out clinics.geojson
+//   node facility-data.js reindex
+//
+// Columns named after a field (see FIELDS in utils/facilityData.js) need no --map entry.
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('./config/db');
+const Facility = require('./models/Facility');
+const { FIELDS, importFacilities, exportFacilities } = require('./utils/facilityData');
+const { parseArgs } = require('./utils/cliArgs');
+require('dotenv').config();
+
+const USAGE = [
+  'Usage:',
+  '  node facility-data.js import --file <file.csv|file.geojson> [--format csv|geojson]',
+  '      [--map "Column=field,..."] [--on-duplicate skip|update] [--dry-run]',
+  '  node facility-data.js export [--format csv|geojson] [--region <state or city>]',
+  '      [--type <type,...>] [--cost-level <0-3,...>] [--out <file>]',
+  '      (writes facilities-<date>.<format> without --out)',
+  '  node facility-data.js reindex',
+  '      (recomputes search keys, e.g. for facilities stored before free-text search)',
+  `Fields: ${FIELDS.join(', ')}`
+].join('\n');
+
+// "Clinic Name=name,Phone=contact.phone" -> {'Clinic Name': 'name', Phone: 'contact.phone'}
+const parseMapping = value => {
+  const mapping = {};
+  String(value).split(',').forEach(pair => {
+    const index = pair.lastIndexOf('=');
+    if (index > 0) mapping[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+  });
+  return mapping;
+};
+
+const formatOf = (args, file) => args.format ||
+  (/\.(geo)?json$/i.test(file || '') ? 'geojson' : 'csv');
+
+const printReport = report => {
+  report.errors.forEach(({ row, name, errors }) => {
+    errors.forEach(error => console.log(`Row ${row} (${name || 'no name'}): ${error.field}: ${error.message}`));
+  });
+  report.duplicates.forEach(({ row, name, match, matchRow, facility, action }) => {
+    const target = match === 'file' ? `row ${matchRow}` : `facility ${facility}`;
+    console.log(`Row ${row} (${name}) duplicates ${target}: ${action}`);
+  });
+  if (report.ignoredColumns.length > 0) {
+    console.log(`Ignored columns: ${report.ignoredColumns.join(', ')}`);
+  }
+
+  const prefix = report.dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}${report.total} rows: ${report.created} new, ${report.updated} updated, ` +
+    `${report.skipped} skipped, ${report.failed} with errors`);
+};
+
+const runImport = async args => {
+  if (!args.file || args.file === true) {
+    throw new Error(USAGE);
+  }
+
+  const report = await importFacilities(fs.readFileSync(args.file, 'utf8'), {
+    format: formatOf(args, args.file),
+    mapping: args.map ? parseMapping(args.map) : undefined,
+    dryRun: Boolean(args['dry-run']),
+    onDuplicate: args['on-duplicate']
+  });
+  printReport(report);
+  if (report.failed > 0) process.exitCode = 1;
+};
+
+const runExport = async args => {
+  const format = formatOf(args, args.out);
+  const { count, body } = await exportFacilities({
+    region: args.region,
+    type: args.type,
+    costLevel: args['cost-level']
+  }, format);
+
+  const date = new Date().toISOString().slice(0, 10);
+  const out = args.out || `facilities-${date}.${format}`;
+  fs.writeFileSync(out, format === 'geojson' ? JSON.stringify(body, null, 2) : body);
+  console.log(`Exported ${count} facilities to ${path.resolve(out)}`);
+};
+
+const runReindex = async () => {
+  const count = await Facility.syncSearchKeys();
+  console.log(`Rebuilt search keys for ${count} facilities`);
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const command = { import: runImport, export: runExport, reindex: runReindex }[args._[0]];
+
+  if (!command) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    // Dry runs still read the database to find duplicates
+    await connectDB();
+    await command(args);
+  } catch (err) {
+    console.error(err.statusCode ? err.message : err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+// Run the command
+run();
@@ -1,33 +1,45 @@
 // map-integration.js - OpenStreetMap API integration for healthcare facility search
 
+const geocoder = require('./utils/geocoder');
+const cache = require('./utils/cache');
+const { schedule } = require('./utils/requestQueue');
+const { elementGeometry, distanceToOutline } = require('./utils/geometry');
+const {
+  careTypeForTags,
+  careTypeLabelForTags,
+  careTypeSpecialties,
+  overpassSelectors
+} = require('./utils/careTypes');
+
+// Cache lifetimes in seconds, overridable per deployment
+const CACHE_TTL = {
+  geocode: parseInt(process.env.CACHE_TTL_GEOCODE, 10) || 30 * 24 * 60 * 60,
+  search: parseInt(process.env.CACHE_TTL_SEARCH, 10) || 24 * 60 * 60,
+  details: parseInt(process.env.CACHE_TTL_DETAILS, 10) || 24 * 60 * 60
+};
+
+// Searches are snapped to a grid of tiles so nearby searches reuse one Overpass response
+const TILE_SIZE_DEG = 0.05;
+const RADIUS_BUCKETS_KM = [5, 10, 25, 50, 100];
+
+// Largest radius one Overpass query covers; searches beyond it are rejected upstream
+const MAX_SEARCH_RADIUS_KM = RADIUS_BUCKETS_KM[RADIUS_BUCKETS_KM.length - 1];
+
+// Part of the tile cache key; bump it when the query or processed result shape changes
+const SEARCH_CACHE_VERSION = 2;
+
 /**
- * Geocode an address using Nominatim API (OpenStreetMap's free geocoding service)
+ * Geocode an address through the configured provider chain (Nominatim, offline gazetteer, ...)
  * @param {string} address - User-provided address or location
- * @returns {Promise} - Resolves to {lat, lon} coordinates
+ * @returns {Promise} - Resolves to {lat, lon, displayName, provider, confidence}
  */
 async function geocodeAddress(address) {
-  const encodedAddress = encodeURIComponent(address);
-  const nominatimUrl = `https://nominatim.openstreetmap.org/search?format=json&q=${encodedAddress}&limit=1`;
-  
   try {
-    const response = await fetch(nominatimUrl, {
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'HealthcareLocatorApp/1.0' // Important: Nominatim requires a user-agent
-      }
-    });
-    
-    const data = await response.json();
-    
-    if (data && data.length > 0) {
-      return {
-        lat: parseFloat(data[0].lat),
-        lon: parseFloat(data[0].lon),
-        displayName: data[0].display_name
-      };
-    } else {
-      throw new Error('Location not found');
-    }
+    return await cache.wrap(
+      `geocode:${cache.normalizeKey(address)}`,
+      CACHE_TTL.geocode,
+      () => geocoder.geocode(address)
+    );
   } catch (error) {
     console.error('Geocoding error:', error);
     throw error;
@@ -35,49 +47,34 @@ async function geocodeAddress(address) {
 }
 
 /**
- * Search for healthcare facilities using Overpass API
+ * Build the Overpass query for healthcare facilities around a point
  * @param {Object} coords - {lat, lon} coordinates
- * @param {number} radius - Search radius in kilometers
- * @returns {Promise} - Resolves to array of healthcare facilities
+ * @param {number} radiusMeters - Search radius in meters
+ * @returns {string} - Overpass QL query
  */
-async function searchHealthcareFacilities(coords, radius) {
-  // Convert radius from km to meters for Overpass
-  const radiusMeters = radius * 1000;
-  
-  // Build Overpass query - searching for healthcare facilities within radius
-  const overpassQuery = `
+function buildHealthcareQuery(coords, radiusMeters) {
+  // One selector per care category tag, see utils/careTypes.js
+  const selectors = overpassSelectors(`(around:${radiusMeters},${coords.lat},${coords.lon})`);
+  return `
     [out:json];
     (
-      // Hospitals
-      node["amenity"="hospital"](around:${radiusMeters},${coords.lat},${coords.lon});
-      way["amenity"="hospital"](around:${radiusMeters},${coords.lat},${coords.lon});
-      relation["amenity"="hospital"](around:${radiusMeters},${coords.lat},${coords.lon});
-      
-      // Clinics
-      node["amenity"="clinic"](around:${radiusMeters},${coords.lat},${coords.lon});
-      way["amenity"="clinic"](around:${radiusMeters},${coords.lat},${coords.lon});
-      relation["amenity"="clinic"](around:${radiusMeters},${coords.lat},${coords.lon});
-      
-      // Doctors
-      node["amenity"="doctors"](around:${radiusMeters},${coords.lat},${coords.lon});
-      way["amenity"="doctors"](around:${radiusMeters},${coords.lat},${coords.lon});
-      
-      // Community health centers and other healthcare facilities
-      node["healthcare"](around:${radiusMeters},${coords.lat},${coords.lon});
-      way["healthcare"](around:${radiusMeters},${coords.lat},${coords.lon});
-      
-      // Social facilities that might provide healthcare
-      node["social_facility"="healthcare"](around:${radiusMeters},${coords.lat},${coords.lon});
-      way["social_facility"="healthcare"](around:${radiusMeters},${coords.lat},${coords.lon});
+      ${selectors.join('\n      ')}
     );
     out body;
     >;
     out skel qt;
   `;
-  
+}
+
+/**
+ * Run a raw Overpass query through the rate-limited Overpass queue
+ * @param {string} overpassQuery - Overpass QL query
+ * @returns {Promise} - Resolves to the raw Overpass JSON response
+ */
+async function runOverpassQuery(overpassQuery) {
   const overpassUrl = 'https://overpass-api.de/api/interpreter';
   
-  try {
+  return schedule('overpass', async () => {
     const response = await fetch(overpassUrl, {
       method: 'POST',
       headers: {
@@ -86,8 +83,70 @@ async function searchHealthcareFacilities(coords, radius) {
       body: 'data=' + encodeURIComponent(overpassQuery)
     });
     
-    const data = await response.json();
-    return processOverpassResults(data, coords);
+    if (!response.ok) {
+      const error = new Error(`Overpass request failed with status ${response.status}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+    
+    return response.json();
+  });
+}
+
+/**
+ * Snap a search to its cache tile: the tile centre plus a radius that covers the whole tile
+ * @param {Object} coords - {lat, lon} search centre
+ * @param {number} radius - Requested radius in kilometers, clamped to MAX_SEARCH_RADIUS_KM
+ * @returns {Object} - {key, center, radius}
+ */
+function getSearchTile(coords, radius) {
+  const row = Math.floor(coords.lat / TILE_SIZE_DEG);
+  const col = Math.floor(coords.lon / TILE_SIZE_DEG);
+  const center = {
+    lat: (row + 0.5) * TILE_SIZE_DEG,
+    lon: (col + 0.5) * TILE_SIZE_DEG
+  };
+  const bucket = RADIUS_BUCKETS_KM.find(size => size >= radius) || MAX_SEARCH_RADIUS_KM;
+  
+  // The real search centre can sit anywhere in the tile, up to half a diagonal from its centre
+  const halfDiagonal = calculateDistance(center, {
+    lat: center.lat + TILE_SIZE_DEG / 2,
+    lon: center.lon + TILE_SIZE_DEG / 2
+  });
+  
+  return {
+    key: `search:v${SEARCH_CACHE_VERSION}:${row}:${col}:${bucket}`,
+    center,
+    radius: bucket + halfDiagonal
+  };
+}
+
+/**
+ * Search for healthcare facilities using Overpass API
+ * @param {Object} coords - {lat, lon} coordinates
+ * @param {number} radius - Search radius in kilometers
+ * @returns {Promise} - Resolves to array of healthcare facilities
+ */
+async function searchHealthcareFacilities(coords, radius) {
+  const tile = getSearchTile(coords, radius);
+  
+  try {
+    // Cache the whole tile, then narrow it down to this search
+    const tileFacilities = await cache.wrap(tile.key, CACHE_TTL.search, async () => {
+      // Convert radius from km to meters for Overpass
+      const data = await runOverpassQuery(buildHealthcareQuery(tile.center, tile.radius * 1000));
+      return processOverpassResults(data);
+    });
+    
+    // Outlines are only needed for distances; details requests return them
+    return tileFacilities
+      .map(({ outline, ...facility }) => ({
+        ...facility,
+        distance: distanceToFacility(coords, { ...facility, outline })
+      }))
+      .filter(facility => facility.distance <= radius)
+      .sort((a, b) => a.distance - b.distance);
   } catch (error) {
     console.error('Overpass API error:', error);
     throw error;
@@ -97,7 +156,7 @@ async function searchHealthcareFacilities(coords, radius) {
 /**
  * Process Overpass API results into user-friendly format
  * @param {Object} data - Raw Overpass API response
- * @param {Object} searchCoords - Original search coordinates for distance calculation
+ * @param {Object} [searchCoords] - Original search coordinates for distance calculation
  * @returns {Array} - Processed array of healthcare facilities
  */
 function processOverpassResults(data, searchCoords) {
@@ -114,49 +173,52 @@ function processOverpassResults(data, searchCoords) {
     }
   });
   
-  // Second pass: process elements into facilities
+  // Second pass: process tagged elements into facilities; untagged nodes and ways are only
+  // geometry for the ways and relations that reference them
   data.elements.forEach(element => {
-    // Skip node references (only process main elements)
-    if (element.type === 'node' && !element.tags) return;
+    if (!element.tags) return;
     
-    if ((element.type === 'node' || element.type === 'way') && element.tags) {
-      // Get coordinates
-      let coords;
-      if (element.type === 'node') {
-        coords = { lat: element.lat, lon: element.lon };
-      } else if (element.type === 'way' && element.nodes && element.nodes.length > 0) {
-        // For ways, use the first node's coordinates
-        const firstNode = nodes[element.nodes[0]];
-        if (firstNode) {
-          coords = { lat: firstNode.lat, lon: firstNode.lon };
-        }
-      }
-      
-      if (coords) {
-        const facility = {
-          id: element.id,
-          type: element.type,
-          name: element.tags.name || getFacilityTypeName(element.tags),
-          lat: coords.lat,
-          lon: coords.lon,
-          tags: element.tags,
-          distance: calculateDistance(searchCoords, coords),
-          address: formatAddress(element.tags),
-          facilityType: getFacilityType(element.tags),
-          phone: element.tags.phone || element.tags['contact:phone'] || 'Not available',
-          website: element.tags.website || element.tags['contact:website'] || '',
-          opening_hours: element.tags.opening_hours || 'Not specified'
-        };
-        
-        facilities.push(facility);
-      }
+    const geometry = elementGeometry(element, nodes, ways);
+    if (!geometry) return;
+    
+    const facility = {
+      id: element.id,
+      type: element.type,
+      name: element.tags.name || getFacilityTypeName(element.tags),
+      lat: geometry.center.lat,
+      lon: geometry.center.lon,
+      tags: element.tags,
+      address: formatAddress(element.tags),
+      facilityType: getFacilityType(element.tags),
+      // Category value as sent by the search form, null outside the known categories
+      careType: careTypeForTags(element.tags),
+      phone: element.tags.phone || element.tags['contact:phone'] || 'Not available',
+      website: element.tags.website || element.tags['contact:website'] || '',
+      opening_hours: element.tags.opening_hours || 'Not specified'
+    };
+    if (geometry.outline) {
+      facility.outline = geometry.outline;
     }
+    facility.distance = searchCoords ? distanceToFacility(searchCoords, facility) : undefined;
+    
+    facilities.push(facility);
   });
   
   // Sort by distance
   return facilities.sort((a, b) => a.distance - b.distance);
 }
 
+/**
+ * Distance from a point to a facility: to the nearest edge of its outline when it has one
+ * (zero inside a campus), otherwise to its position
+ * @param {Object} coords - {lat, lon}
+ * @param {Object} facility - Processed facility with lat, lon and an optional outline
+ * @returns {number} - Distance in kilometers
+ */
+function distanceToFacility(coords, facility) {
+  return facility.outline ? distanceToOutline(coords, facility.outline) : calculateDistance(coords, facility);
+}
+
 /**
  * Calculate distance between two coordinates using Haversine formula
  * @param {Object} coords1 - First set of coordinates {lat, lon}
@@ -181,19 +243,25 @@ function toRad(value) {
   return value * Math.PI / 180;
 }
 
+/**
+ * Build the canonical OSM identifier stored in Facility.osmId
+ * @param {string} type - Element type ('node', 'way', 'relation')
+ * @param {number|string} id - OSM element ID
+ * @returns {string} - Identifier such as "node/123456"
+ */
+function toOsmId(type, id) {
+  return `${type}/${id}`;
+}
+
 /**
  * Determine user-friendly facility type from OSM tags
  * @param {Object} tags - OSM element tags
  * @returns {string} - User-friendly facility type
  */
 function getFacilityType(tags) {
-  if (tags.amenity === 'hospital') return 'Hospital';
-  if (tags.amenity === 'clinic') return 'Clinic';
-  if (tags.amenity === 'doctors') return 'Doctor\'s Office';
-  if (tags.healthcare === 'centre') return 'Health Center';
-  if (tags.healthcare === 'clinic') return 'Clinic';
+  const label = careTypeLabelForTags(tags);
+  if (label) return label;
   if (tags.healthcare) return `Healthcare (${tags.healthcare})`;
-  if (tags.social_facility === 'healthcare') return 'Community Health Center';
   
   return 'Healthcare Facility';
 }
@@ -246,6 +314,13 @@ function formatAddress(tags) {
   return parts.length > 0 ? parts.join(', ') : 'Address not available';
 }
 
+// Unknown or malformed element IDs are a normal outcome, reported as 404
+const facilityNotFound = () => {
+  const error = new Error('Facility not found');
+  error.statusCode = 404;
+  return error;
+};
+
 /**
  * Get facility details by ID from Overpass API
  * @param {number} id - OSM element ID
@@ -253,6 +328,10 @@ function formatAddress(tags) {
  * @returns {Promise} - Resolves to facility details
  */
 async function getFacilityDetails(id, type) {
+  if (!['node', 'way', 'relation'].includes(type) || !/^\d+$/.test(String(id))) {
+    throw facilityNotFound();
+  }
+  
   const overpassQuery = `
     [out:json];
     ${type}(${id});
@@ -261,52 +340,39 @@ async function getFacilityDetails(id, type) {
     out skel qt;
   `;
   
-  const overpassUrl = 'https://overpass-api.de/api/interpreter';
-  
   try {
-    const response = await fetch(overpassUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded'
-      },
-      body: 'data=' + encodeURIComponent(overpassQuery)
-    });
-    
-    const data = await response.json();
+    const data = await cache.wrap(`details:${type}/${id}`, CACHE_TTL.details, () => runOverpassQuery(overpassQuery));
     
     if (data.elements && data.elements.length > 0) {
       // Process into detailed facility object
-      const element = data.elements[0];
+      const element = data.elements.find(el => el.type === type && String(el.id) === String(id));
       const nodes = {};
+      const ways = {};
       
-      // Collect nodes for ways
+      // Collect the nodes and member ways that make up ways and relations
       data.elements.forEach(el => {
         if (el.type === 'node') {
           nodes[el.id] = el;
+        } else if (el.type === 'way') {
+          ways[el.id] = el;
         }
       });
       
-      // Get coordinates
-      let coords;
-      if (element.type === 'node') {
-        coords = { lat: element.lat, lon: element.lon };
-      } else if (element.type === 'way' && element.nodes && element.nodes.length > 0) {
-        const firstNode = nodes[element.nodes[0]];
-        if (firstNode) {
-          coords = { lat: firstNode.lat, lon: firstNode.lon };
-        }
-      }
+      const geometry = element && elementGeometry(element, nodes, ways);
       
-      if (coords && element.tags) {
+      if (geometry && element.tags) {
         return {
           id: element.id,
           type: element.type,
           name: element.tags.name || getFacilityTypeName(element.tags),
-          lat: coords.lat,
-          lon: coords.lon,
+          lat: geometry.center.lat,
+          lon: geometry.center.lon,
+          // GeoJSON outline of ways and relations, null for nodes
+          outline: geometry.outline,
           tags: element.tags,
           address: formatAddress(element.tags),
           facilityType: getFacilityType(element.tags),
+          careType: careTypeForTags(element.tags),
           phone: element.tags.phone || element.tags['contact:phone'] || 'Not available',
           website: element.tags.website || element.tags['contact:website'] || '',
           opening_hours: element.tags.opening_hours || 'Not specified',
@@ -318,7 +384,7 @@ async function getFacilityDetails(id, type) {
       }
     }
     
-    throw new Error('Facility not found');
+    throw facilityNotFound();
   } catch (error) {
     console.error('Facility details error:', error);
     throw error;
@@ -340,19 +406,10 @@ function extractSpecialties(tags) {
     }
   }
   
-  // Add specific healthcare services
-  if (tags.healthcare === 'dentist') specialties.push('Dentistry');
-  if (tags.healthcare === 'pharmacy') specialties.push('Pharmacy');
-  if (tags.healthcare === 'optometrist') specialties.push('Optometry');
-  if (tags.healthcare === 'rehabilitation') specialties.push('Rehabilitation');
-  if (tags.healthcare === 'alternative') specialties.push('Alternative Medicine');
-  if (tags.healthcare === 'laboratory') specialties.push('Medical Laboratory');
-  if (tags.healthcare === 'psychology') specialties.push('Psychology');
-  
-  // If no specialties found, return general category
+  // Otherwise fall back to the care category's specialties
   if (specialties.length === 0) {
-    if (tags.amenity === 'hospital') return ['General Hospital Services'];
-    if (tags.amenity === 'clinic') return ['General Clinic Services'];
+    const categorySpecialties = careTypeSpecialties(tags);
+    if (categorySpecialties.length > 0) return categorySpecialties;
     if (tags.healthcare) return [`${tags.healthcare.charAt(0).toUpperCase() + tags.healthcare.slice(1)} Services`];
     return ['General Healthcare'];
   }
@@ -393,9 +450,14 @@ function extractPaymentInfo(tags) {
 }
 
 module.exports = {
+  MAX_SEARCH_RADIUS_KM,
   geocodeAddress,
   searchHealthcareFacilities,
   getFacilityDetails,
+  buildHealthcareQuery,
+  runOverpassQuery,
+  processOverpassResults,
   getFacilityType,
-  calculateDistance
+  calculateDistance,
+  toOsmId
 };
\ No newline at end of file
@@ -2,21 +2,23 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
-// Protect routes
-exports.protect = async (req, res, next) => {
-  let token;
-
+// Read the JWT from the Authorization header or the token cookie
+const getToken = req => {
   // Check if auth header exists and follows Bearer format
   if (
     req.headers.authorization &&
     req.headers.authorization.startsWith('Bearer')
   ) {
     // Set token from Bearer token in header
-    token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies?.token) {
-    // Set token from cookie
-    token = req.cookies.token;
+    return req.headers.authorization.split(' ')[1];
   }
+  // Set token from cookie
+  return req.cookies?.token;
+};
+
+// Protect routes
+exports.protect = async (req, res, next) => {
+  const token = getToken(req);
 
   // Make sure token exists
   if (!token) {
@@ -41,6 +43,22 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Set req.user when a valid token is sent, but let anonymous requests through
+exports.optionalAuth = async (req, res, next) => {
+  const token = getToken(req);
+
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      req.user = await User.findById(decoded.id) || undefined;
+    } catch (err) {
+      // An expired or invalid token just means the request is anonymous
+    }
+  }
+
+  next();
+};
+
 // Admin only middleware
 exports.authorize = (...roles) => {
   return (req, res, next) => {
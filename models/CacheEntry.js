@@ -0,0 +1,20 @@
+// models/CacheEntry.js
+const mongoose = require('mongoose');
+
+const CacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB purge expired entries on its own
+CacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', CacheEntrySchema);
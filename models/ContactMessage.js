@@ -0,0 +1,106 @@
+// models/ContactMessage.js
+const mongoose = require('mongoose');
+const FacilityRefSchema = require('./FacilityRef');
+
+const CATEGORIES = ['general', 'wrong_facility_info', 'clinic_inquiry', 'feedback'];
+
+const ContactMessageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add your name'],
+    trim: true,
+    maxlength: [100, 'Name can not be more than 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  category: {
+    type: String,
+    enum: {
+      values: CATEGORIES,
+      message: `Category must be one of: ${CATEGORIES.join(', ')}`
+    },
+    default: 'general'
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject can not be more than 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Please add a message'],
+    trim: true,
+    maxlength: [5000, 'Message can not be more than 5000 characters']
+  },
+  // The facility a wrong_facility_info report is about
+  facility: FacilityRefSchema,
+  // Sender's account, when they were signed in
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Used for per-IP throttling; not shown in the inbox
+  ip: {
+    type: String,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['open', 'handled'],
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  handledBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  handledAt: Date,
+  // Replies emailed to the sender from the inbox
+  replies: [{
+    author: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    message: {
+      type: String,
+      required: true,
+      maxlength: [5000, 'Reply can not be more than 5000 characters']
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ContactMessageSchema.index({ status: 1, createdAt: -1 });
+ContactMessageSchema.index({ ip: 1, createdAt: -1 });
+ContactMessageSchema.index({ 'facility.facility': 1 });
+ContactMessageSchema.index({ 'facility.osmId': 1 });
+
+ContactMessageSchema.pre('validate', function (next) {
+  if (this.category === 'wrong_facility_info' && !this.facility) {
+    this.invalidate('facility', 'Please say which facility has wrong information');
+  }
+  next();
+});
+
+ContactMessageSchema.statics.CATEGORIES = CATEGORIES;
+
+module.exports = mongoose.model('ContactMessage', ContactMessageSchema);
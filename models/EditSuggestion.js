@@ -0,0 +1,67 @@
+// models/EditSuggestion.js
+const mongoose = require('mongoose');
+
+const EditSuggestionSchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Facility',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // One entry per proposed field, reviewed separately; paths use dot notation, e.g. "hours.monday"
+  changes: {
+    type: [{
+      _id: false,
+      path: {
+        type: String,
+        required: true
+      },
+      // Facility value when the suggestion was made
+      current: mongoose.Schema.Types.Mixed,
+      proposed: mongoose.Schema.Types.Mixed,
+      status: {
+        type: String,
+        enum: ['pending', 'accepted', 'rejected'],
+        default: 'pending'
+      }
+    }],
+    validate: {
+      validator: changes => changes.length > 0,
+      message: 'Please suggest at least one change'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment can not be more than 1000 characters']
+  },
+  // 'reviewed' once every change has been accepted or rejected
+  status: {
+    type: String,
+    enum: ['pending', 'reviewed'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    maxlength: [1000, 'Note can not be more than 1000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+EditSuggestionSchema.index({ status: 1, createdAt: 1 });
+EditSuggestionSchema.index({ facility: 1, status: 1 });
+EditSuggestionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EditSuggestion', EditSuggestionSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { CARE_TYPE_VALUES } = require('../utils/careTypes');
+const { searchKeysFor } = require('../utils/textSearch');
 
 const facilitySchema = new mongoose.Schema({
   name: {
@@ -9,7 +11,8 @@ const facilitySchema = new mongoose.Schema({
   facilityType: {
     type: String,
     required: true,
-    enum: ['hospital', 'clinic', 'doctors', 'dentist', 'pharmacy', 'mental']
+    // Care categories from utils/careTypes.js
+    enum: CARE_TYPE_VALUES
   },
   location: {
     type: {
@@ -42,6 +45,8 @@ const facilitySchema = new mongoose.Schema({
     saturday: String,
     sunday: String
   },
+  // IANA timezone used to interpret hours, e.g. 'Asia/Kolkata'
+  timezone: String,
   services: [String],
   // Cost-related fields
   costLevel: {
@@ -80,32 +85,46 @@ const facilitySchema = new mongoose.Schema({
       default: false
     }
   },
+  // ISO 4217 code for procedure costs that don't carry their own
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    default: 'INR'
+  },
   // Common procedure costs
   procedureCosts: [{
     procedureName: String,
     averageCost: Number,
     minCost: Number,
     maxCost: Number,
+    // Overrides the facility currency for this entry
+    currency: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+    },
     description: String
   }],
+  // Averages of visible reviews; null until someone has rated them
   ratings: {
     overall: {
       type: Number,
       min: 0,
       max: 5,
-      default: 0
+      default: null
     },
     costValue: {
       type: Number,
       min: 0,
       max: 5,
-      default: 0
+      default: null
     },
     qualityOfCare: {
       type: Number,
       min: 0,
       max: 5,
-      default: 0
+      default: null
     },
     reviewCount: {
       type: Number,
@@ -127,12 +146,21 @@ const facilitySchema = new mongoose.Schema({
     }
   },
   // OpenStreetMap ID for mapping to OSM data
-  osmId: String,
+  osmId: String, // "<type>/<id>", e.g. "node/123456"
   tags: mongoose.Schema.Types.Mixed, // For storing raw OSM tags
+  // Sound-alike keys for free-text search (utils/textSearch.js), derived from the fields above
+  searchKeys: [String],
   active: {
     type: Boolean,
     default: true
   },
+  // Verified provider account managing this listing, set when an admin approves its claim
+  provider: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Last edit made by that provider through /api/provider
+  providerUpdatedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -149,13 +177,57 @@ facilitySchema.index({ location: '2dsphere' });
 facilitySchema.index({ facilityType: 1, active: 1 });
 facilitySchema.index({ 'address.zipCode': 1 });
 facilitySchema.index({ costLevel: 1 });
+facilitySchema.index({ osmId: 1 }, { sparse: true });
+facilitySchema.index({ provider: 1 }, { sparse: true });
+// Free-text search; 'none' skips English stemming, which mangles transliterated Tamil names
+facilitySchema.index({
+  name: 'text',
+  services: 'text',
+  'procedureCosts.procedureName': 'text',
+  searchKeys: 'text'
+}, {
+  name: 'facility_text',
+  default_language: 'none',
+  weights: { name: 10, services: 5, 'procedureCosts.procedureName': 3, searchKeys: 1 }
+});
+// Prefix lookups for autocomplete
+facilitySchema.index({ searchKeys: 1 });
 
-// Pre-save middleware to update the updatedAt field
+// Pre-save middleware to update the updatedAt field and search keys
 facilitySchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  this.searchKeys = searchKeysFor(this);
+  next();
+});
+
+// insertMany skips save middleware
+facilitySchema.pre('insertMany', function(next, docs) {
+  docs.forEach(doc => {
+    doc.searchKeys = searchKeysFor(doc);
+  });
   next();
 });
 
+/**
+ * Recompute search keys after writes that bypass save middleware (findByIdAndUpdate, bulkWrite)
+ * @param {Object} filter - Query selecting the facilities to update
+ * @returns {Promise} - Resolves to the number of facilities updated
+ */
+facilitySchema.statics.syncSearchKeys = async function(filter = {}) {
+  const facilities = await this.find(filter)
+    .select('name services procedureCosts.procedureName address.city tags')
+    .lean();
+  if (facilities.length === 0) return 0;
+
+  await this.bulkWrite(facilities.map(facility => ({
+    updateOne: {
+      filter: { _id: facility._id },
+      update: { $set: { searchKeys: searchKeysFor(facility) } }
+    }
+  })));
+  return facilities.length;
+};
+
 // Virtual for full address
 facilitySchema.virtual('fullAddress').get(function() {
   if (this.address.formatted) return this.address.formatted;
@@ -173,7 +245,7 @@ facilitySchema.virtual('fullAddress').get(function() {
   return parts.join(', ');
 });
 
-// Method to get distance in miles from a given point
+// Method to get distance from a given point
 facilitySchema.methods.getDistanceFrom = function(lat, lng) {
   // Implementation depends on your needs: 
   // Could use MongoDB's $geoNear or a separate distance calculation function
@@ -182,28 +254,39 @@ facilitySchema.methods.getDistanceFrom = function(lat, lng) {
 // Prepare data for frontend display
 facilitySchema.methods.toPublicJSON = function() {
   const facility = this.toObject();
+  const contact = facility.contact || {};
   return {
     id: facility._id,
     name: facility.name,
     facilityType: facility.facilityType,
-    address: facility.fullAddress,
+    // Virtuals are not part of toObject(), so read the address from the document
+    address: this.fullAddress,
     lat: facility.location.coordinates[1],
     lon: facility.location.coordinates[0],
-    phone: facility.contact.phone,
-    website: facility.contact.website,
+    phone: contact.phone,
+    website: contact.website,
     hours: facility.hours,
+    timezone: facility.timezone,
     services: facility.services,
     costLevel: facility.costLevel,
+    currency: facility.currency,
     paymentOptions: {
       slidingScale: facility.paymentOptions.slidingScale,
       freeCare: facility.paymentOptions.freeCare,
       acceptsInsurance: facility.paymentOptions.acceptsInsurance,
       acceptsMedicaid: facility.paymentOptions.acceptsMedicaid,
+      acceptsMedicare: facility.paymentOptions.acceptsMedicare,
       financialAssistance: facility.paymentOptions.financialAssistance,
       charityCare: facility.paymentOptions.charityCare
     },
+    procedureCosts: facility.procedureCosts,
     ratings: facility.ratings,
-    accessibility: facility.accessibility
+    accessibility: facility.accessibility,
+    osmId: facility.osmId,
+    // Badge for listings kept up to date by their verified provider
+    providerManaged: Boolean(facility.provider && facility.providerUpdatedAt),
+    providerUpdatedAt: facility.provider ? facility.providerUpdatedAt : undefined,
+    updatedAt: facility.updatedAt
   };
 };
 
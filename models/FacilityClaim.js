@@ -0,0 +1,58 @@
+// models/FacilityClaim.js
+const mongoose = require('mongoose');
+
+const FacilityClaimSchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Facility',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What the claimant does at the facility, e.g. "Clinic manager"
+  position: {
+    type: String,
+    required: [true, 'Please say what your role at the facility is'],
+    trim: true,
+    maxlength: [100, 'Position can not be more than 100 characters']
+  },
+  // Number the admin can call back to verify the claim, ideally the facility's listed line
+  phone: {
+    type: String,
+    required: [true, 'Please add a phone number we can use to verify your claim'],
+    trim: true,
+    maxlength: [30, 'Phone can not be more than 30 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Message can not be more than 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'revoked'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    maxlength: [1000, 'Note can not be more than 1000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FacilityClaimSchema.index({ status: 1, createdAt: 1 });
+FacilityClaimSchema.index({ facility: 1, status: 1 });
+FacilityClaimSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FacilityClaim', FacilityClaimSchema);
@@ -0,0 +1,43 @@
+// models/FacilityRef.js - Embedded reference to either a curated Facility or an OSM-only result
+const mongoose = require('mongoose');
+
+const FacilityRefSchema = new mongoose.Schema({
+  // Set for curated facilities
+  facility: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Facility'
+  },
+  // Set for OSM-only results, "<type>/<id>" e.g. "node/123456"
+  osmId: {
+    type: String,
+    match: [/^(node|way|relation)\/\d+$/, 'OSM id must look like node/123456']
+  },
+  // Snapshot so OSM-only entries can be listed without asking Overpass again
+  name: String,
+  facilityType: String,
+  address: String,
+  lat: Number,
+  lon: Number,
+  note: {
+    type: String,
+    maxlength: [1000, 'Note can not be more than 1000 characters']
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FacilityRefSchema.pre('validate', function(next) {
+  if (!this.facility === !this.osmId) {
+    this.invalidate('facility', 'Reference either a facility or an OSM id');
+  }
+  next();
+});
+
+// "facility/<mongoId>" or the OSM id, matching the /api/facilities/:type/:id route
+FacilityRefSchema.virtual('key').get(function() {
+  return this.facility ? `facility/${this.facility._id || this.facility}` : this.osmId;
+});
+
+module.exports = FacilityRefSchema;
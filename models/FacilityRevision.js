@@ -0,0 +1,59 @@
+// models/FacilityRevision.js
+const mongoose = require('mongoose');
+
+const FacilityRevisionSchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Facility',
+    required: true
+  },
+  // 1 for the first recorded revision of a facility, then counting up
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'rollback', 'import'],
+    required: true
+  },
+  // Unset for changes made by scripts such as osm-import.js
+  author: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  authorRole: String,
+  // Where the change came from, e.g. 'api', 'provider', 'osm-import'
+  source: {
+    type: String,
+    default: 'api'
+  },
+  // Field-level changes against the state before this revision; paths use dot notation
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // The facility's tracked fields after this revision
+  snapshot: mongoose.Schema.Types.Mixed,
+  // For rollbacks, the revision that was restored
+  rolledBackTo: Number,
+  // For accepted community suggestions, the suggestion and the user who made it
+  suggestion: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'EditSuggestion'
+  },
+  suggestedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FacilityRevisionSchema.index({ facility: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('FacilityRevision', FacilityRevisionSchema);
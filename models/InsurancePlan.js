@@ -0,0 +1,94 @@
+// models/InsurancePlan.js
+const mongoose = require('mongoose');
+
+const InsurancePlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a plan name'],
+    trim: true
+  },
+  provider: String, // Insurer or government department running the plan
+  planType: {
+    type: String,
+    enum: ['private', 'medicare', 'medicaid', 'government_scheme', 'employer'],
+    required: true
+  },
+  country: {
+    type: String,
+    default: 'IN'
+  },
+  // ISO 4217 code for deductible, copay, outOfPocketMax and coverage limits
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    default: 'INR'
+  },
+  // Amount the patient pays each year before the plan starts sharing costs
+  deductible: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Flat amount per covered procedure
+  copay: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Share of the remaining cost the patient pays (0.2 = 20%)
+  coinsurance: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0
+  },
+  // Yearly cap on deductible + copays + coinsurance; unset means no cap
+  outOfPocketMax: {
+    type: Number,
+    min: 0
+  },
+  // Empty means every procedure is covered
+  coveredProcedures: [{
+    procedureName: {
+      type: String,
+      required: true
+    },
+    // Per-procedure overrides of the plan-level cost sharing
+    copay: Number,
+    coinsurance: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    // Most the plan pays for this procedure (package rates in government schemes)
+    coverageLimit: Number
+  }],
+  // Empty means every facility is in network
+  inNetworkFacilities: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Facility'
+  }],
+  outOfNetworkCovered: {
+    type: Boolean,
+    default: false
+  },
+  outOfNetworkCoinsurance: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.5
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+InsurancePlanSchema.index({ planType: 1, country: 1, active: 1 });
+
+module.exports = mongoose.model('InsurancePlan', InsurancePlanSchema);
@@ -0,0 +1,84 @@
+// models/Invitation.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long an invitation link stays valid
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const InvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  // Roles public registration can't grant
+  role: {
+    type: String,
+    enum: {
+      values: ['provider', 'admin'],
+      message: "Invitations are for the 'provider' or 'admin' role"
+    },
+    required: [true, 'Please choose a role']
+  },
+  // Hash of the emailed token
+  token: {
+    type: String,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  acceptedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+InvitationSchema.index({ token: 1 });
+InvitationSchema.index({ email: 1, status: 1 });
+
+// Generate the invitation token; only its hash is stored, like password reset tokens
+InvitationSchema.methods.getInviteToken = function () {
+  const inviteToken = crypto.randomBytes(32).toString('hex');
+
+  this.token = this.constructor.hashToken(inviteToken);
+  this.expiresAt = Date.now() + INVITE_TTL_MS;
+
+  return inviteToken;
+};
+
+InvitationSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Pending, unexpired invitation for a token from a link
+InvitationSchema.statics.findByToken = function (token) {
+  return this.findOne({
+    token: this.hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: Date.now() }
+  });
+};
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
@@ -0,0 +1,35 @@
+// models/ModerationLog.js
+const mongoose = require('mongoose');
+
+const ModerationLogSchema = new mongoose.Schema({
+  review: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  facility: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Facility'
+  },
+  moderator: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['hide', 'restore', 'delete', 'verify', 'unverify'],
+    required: true
+  },
+  reason: String,
+  // Copy of the review as it was before the action, so deleted reviews remain auditable
+  snapshot: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ModerationLogSchema.index({ review: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationLog', ModerationLogSchema);
@@ -0,0 +1,49 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['new_match', 'payment_options_changed', 'suggestion_reviewed'],
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  savedSearch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'SavedSearch'
+  },
+  suggestion: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'EditSuggestion'
+  },
+  // "facility/<id>" or "node/123", as used by /api/facilities/:type/:id
+  facilityKey: String,
+  facilityName: String,
+  // Changes to the saved search beyond the per-run notification limit, counted on the last one
+  moreChanges: Number,
+  // Payment options added and removed, for payment_options_changed
+  changes: {
+    added: [String],
+    removed: [String]
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -53,51 +53,111 @@ const ReviewSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Users who marked the review helpful, so each user counts once
+  helpfulVotes: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
   reported: {
     type: Boolean,
     default: false
   },
+  reports: [{
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Hidden reviews stay in the database but are left out of listings and ratings
+  hidden: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
 // Prevent user from submitting more than one review per facility
 ReviewSchema.index({ facility: 1, user: 1 }, { unique: true });
+// Moderation queue lookups
+ReviewSchema.index({ reported: 1, hidden: 1 });
+
+// Fields the author edits; reports and moderation don't count as an update to the review
+const AUTHOR_FIELDS = ['rating', 'comment', 'helpfulness', 'tags'];
+
+// Pre-save middleware to update the updatedAt field
+ReviewSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified(AUTHOR_FIELDS)) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
 
-// Static method to get avg rating and save
+// Static method to recompute a facility's ratings from its reviews
 ReviewSchema.statics.getAverageRating = async function (facilityId) {
+  const id = new mongoose.Types.ObjectId(String(facilityId));
   const obj = await this.aggregate([
     {
-      $match: { facility: facilityId }
+      $match: { facility: id, hidden: { $ne: true } }
     },
     {
       $group: {
         _id: '$facility',
-        averageRating: { $avg: '$rating' }
+        overall: { $avg: '$rating' },
+        // Affordability sub-scores feed the facility's cost value rating
+        costValue: { $avg: '$helpfulness.affordability' },
+        staff: { $avg: '$helpfulness.staff' },
+        cleanliness: { $avg: '$helpfulness.cleanliness' },
+        waitTime: { $avg: '$helpfulness.waitTime' },
+        reviewCount: { $sum: 1 }
       }
     }
   ]);
 
+  const stats = obj[0] || {};
+  // Averages nobody rated stay null rather than reading as the worst score
+  const round = value => (typeof value === 'number' ? Math.round(value * 10) / 10 : null);
+
+  // Quality of care is the mean of the staff, cleanliness and wait time sub-scores that were given
+  const qualityScores = [stats.staff, stats.cleanliness, stats.waitTime].filter(value => typeof value === 'number');
+  const qualityOfCare = qualityScores.length > 0
+    ? qualityScores.reduce((sum, value) => sum + value, 0) / qualityScores.length
+    : stats.overall;
+
   try {
-    await this.model('Facility').findByIdAndUpdate(facilityId, {
-      'ratings.average': obj[0].averageRating,
-      'ratings.count': await this.countDocuments({ facility: facilityId })
+    await this.model('Facility').findByIdAndUpdate(id, {
+      'ratings.overall': round(stats.overall),
+      'ratings.costValue': round(stats.costValue),
+      'ratings.qualityOfCare': round(qualityOfCare),
+      'ratings.reviewCount': stats.reviewCount || 0
     });
   } catch (err) {
     console.error(err);
   }
 };
 
-// Call getAverageRating after save
-ReviewSchema.post('save', function () {
-  this.constructor.getAverageRating(this.facility);
+// Recompute ratings after a review is created or edited
+ReviewSchema.post('save', async function () {
+  await this.constructor.getAverageRating(this.facility);
 });
 
-// Call getAverageRating before remove
-ReviewSchema.pre('remove', function () {
-  this.constructor.getAverageRating(this.facility);
+// Recompute ratings after a review is deleted
+ReviewSchema.post('deleteOne', { document: true, query: false }, async function () {
+  await this.constructor.getAverageRating(this.facility);
 });
 
 module.exports = mongoose.model('Review', ReviewSchema);
\ No newline at end of file
@@ -0,0 +1,62 @@
+// models/SavedSearch.js
+const mongoose = require('mongoose');
+const { CARE_TYPE_VALUES } = require('../utils/careTypes');
+
+const SavedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a name for the saved search'],
+    trim: true,
+    maxlength: [100, 'Name can not be more than 100 characters']
+  },
+  // Same parameters as POST /api/facilities/search
+  location: {
+    type: String,
+    required: [true, 'Please add a location']
+  },
+  radius: {
+    type: Number,
+    min: 0,
+    default: 10
+  },
+  units: {
+    type: String,
+    enum: ['km', 'mi'],
+    default: 'km'
+  },
+  // Empty for any care category
+  careType: {
+    type: String,
+    validate: {
+      validator: value => !value || CARE_TYPE_VALUES.includes(value),
+      message: `careType must be one of: ${CARE_TYPE_VALUES.join(', ')}`
+    }
+  },
+  paymentOptions: [String],
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Results seen on the last run, used to spot new matches and payment option changes
+  matches: [{
+    key: String, // "facility/<id>" or "node/123", as used by /api/facilities/:type/:id
+    osmId: String, // "node/123" for OSM results and curated facilities linked to OSM
+    name: String,
+    paymentOptions: [String]
+  }],
+  lastRunAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SavedSearchSchema.index({ user: 1, createdAt: -1 });
+SavedSearchSchema.index({ alertsEnabled: 1, lastRunAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
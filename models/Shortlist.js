@@ -0,0 +1,40 @@
+// models/Shortlist.js
+const mongoose = require('mongoose');
+const FacilityRefSchema = require('./FacilityRef');
+
+const ShortlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a name for the shortlist'],
+    trim: true,
+    maxlength: [100, 'Name can not be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description can not be more than 500 characters']
+  },
+  items: [FacilityRefSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Shortlist names are unique per user
+ShortlistSchema.index({ user: 1, name: 1 }, { unique: true });
+
+ShortlistSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Shortlist', ShortlistSchema);
@@ -0,0 +1,121 @@
+// models/Subscriber.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long a subscription confirmation link stays valid
+const CONFIRM_TOKEN_TTL_MS = 48 * 60 * 60 * 1000;
+
+const TOPICS = ['newsletter', 'screening_events', 'new_facilities'];
+
+const SubscriberSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  topics: {
+    type: [{
+      type: String,
+      enum: {
+        values: TOPICS,
+        message: `Topics must be one of: ${TOPICS.join(', ')}`
+      }
+    }],
+    default: ['newsletter'],
+    validate: {
+      validator: topics => topics.length > 0,
+      message: 'Please choose at least one topic'
+    }
+  },
+  // Area for the new_facilities topic
+  pinCode: {
+    type: String,
+    trim: true,
+    match: [/^[1-9]\d{5}$/, 'Please add a valid 6-digit PIN code']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'unsubscribed'],
+    default: 'pending'
+  },
+  // Hash of the emailed confirmation token
+  confirmToken: {
+    type: String,
+    select: false
+  },
+  confirmExpire: {
+    type: Date,
+    select: false
+  },
+  confirmSentAt: Date,
+  confirmedAt: Date,
+  unsubscribedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SubscriberSchema.index({ status: 1, topics: 1 });
+SubscriberSchema.index({ confirmToken: 1 });
+
+SubscriberSchema.pre('validate', function (next) {
+  if (this.topics.includes('new_facilities') && !this.pinCode) {
+    this.invalidate('pinCode', 'Please add a PIN code to hear about new facilities near you');
+  }
+  next();
+});
+
+// Generate a confirmation token; only its hash is stored, like password reset tokens
+SubscriberSchema.methods.getConfirmToken = function () {
+  const confirmToken = crypto.randomBytes(32).toString('hex');
+
+  this.confirmToken = this.constructor.hashToken(confirmToken);
+  this.confirmExpire = Date.now() + CONFIRM_TOKEN_TTL_MS;
+  this.confirmSentAt = Date.now();
+
+  return confirmToken;
+};
+
+// Signature for the unsubscribe/preferences link. It doesn't expire, so links in old emails keep working.
+SubscriberSchema.methods.getSignature = function () {
+  return this.constructor.sign(this._id);
+};
+
+// Fields safe to show on the preferences page
+SubscriberSchema.methods.toPublicJSON = function () {
+  return {
+    id: this._id,
+    email: this.email,
+    topics: this.topics,
+    pinCode: this.pinCode,
+    status: this.status,
+    confirmedAt: this.confirmedAt
+  };
+};
+
+SubscriberSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+SubscriberSchema.statics.sign = function (id) {
+  const secret = process.env.SUBSCRIPTION_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(`subscriber:${id}`).digest('hex');
+};
+
+// Constant-time check of a signature from a link
+SubscriberSchema.statics.verifySignature = function (id, signature) {
+  const expected = Buffer.from(this.sign(id), 'hex');
+  const given = Buffer.from(String(signature || ''), 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+SubscriberSchema.statics.TOPICS = TOPICS;
+
+module.exports = mongoose.model('Subscriber', SubscriberSchema);
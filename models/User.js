@@ -1,6 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const FacilityRefSchema = require('./FacilityRef');
+
+// Older searches drop off the history once it reaches this size
+const MAX_SEARCH_HISTORY = 50;
+
+// How long a password reset link stays valid
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
 
 const UserSchema = new mongoose.Schema({
   firstName: {
@@ -38,14 +46,18 @@ const UserSchema = new mongoose.Schema({
     state: String,
     zip: String
   },
-  savedFacilities: [{
-    type: mongoose.Schema.ObjectId,
-    ref: 'Facility'
-  }],
+  // Curated facilities and OSM-only results; named lists live in Shortlist
+  savedFacilities: [FacilityRefSchema],
   searchHistory: [{
     location: String,
     radius: Number,
+    units: {
+      type: String,
+      enum: ['km', 'mi'],
+      default: 'km'
+    },
     careType: String,
+    paymentOptions: [String],
     timestamp: {
       type: Date,
       default: Date.now
@@ -56,11 +68,25 @@ const UserSchema = new mongoose.Schema({
       type: Number,
       default: 10
     },
+    // Distance units and locale used when a request doesn't specify them
+    units: {
+      type: String,
+      enum: ['km', 'mi'],
+      default: 'km'
+    },
+    locale: String,
     preferredPaymentOptions: [String],
     preferredFacilityTypes: [String]
   },
-  resetPasswordToken: String,
-  resetPasswordExpire: Date,
+  // Hash of the emailed reset token; never returned with the user
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -69,8 +95,9 @@ const UserSchema = new mongoose.Schema({
 
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function (next) {
+  // Saving other fields (saved facilities, history) must not re-hash the unselected password
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
@@ -83,9 +110,33 @@ UserSchema.methods.getSignedJwtToken = function () {
   });
 };
 
+// Add a search to the history, newest last, keeping only the most recent entries
+UserSchema.methods.recordSearch = function (search) {
+  this.searchHistory.push({ ...search, timestamp: Date.now() });
+  if (this.searchHistory.length > MAX_SEARCH_HISTORY) {
+    this.searchHistory.splice(0, this.searchHistory.length - MAX_SEARCH_HISTORY);
+  }
+  return this.save();
+};
+
 // Match user entered password to hashed password in database
 UserSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate a password reset token; only its hash is stored so a database leak can't be used to reset
+UserSchema.methods.getResetPasswordToken = function () {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = this.constructor.hashResetToken(resetToken);
+  this.resetPasswordExpire = Date.now() + RESET_TOKEN_TTL_MS;
+
+  return resetToken;
+};
+
+// Hash a reset token the same way it was stored
+UserSchema.statics.hashResetToken = function (resetToken) {
+  return crypto.createHash('sha256').update(String(resetToken)).digest('hex');
+};
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,109 @@
+// osm-import.js - Import OpenStreetMap healthcare facilities into the Facility collection
+//
+// Usage:
+//   node osm-import.js --location "Chennai" --radius 15
+//   node osm-import.js --file ./data/chennai-overpass.json
+//   node osm-import.js --location "Madurai" --dry-run
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Facility = require('./models/Facility');
+const { snapshotOf, recordRevision } = require('./utils/facilityRevisions');
+const connectDB = require('./config/db');
+const {
+  geocodeAddress,
+  buildHealthcareQuery,
+  runOverpassQuery,
+  processOverpassResults
+} = require('./map-integration');
+const { mapOsmFacility } = require('./utils/osmMapping');
+const { parseArgs } = require('./utils/cliArgs');
+require('dotenv').config();
+
+// Load Overpass data from a saved file or a live query
+const loadOverpassData = async args => {
+  if (args.file) {
+    console.log(`Reading Overpass data from ${args.file}`);
+    return JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  }
+
+  const radius = parseFloat(args.radius) || 10;
+  const coordinates = await geocodeAddress(args.location);
+  console.log(`Querying Overpass within ${radius} km of ${coordinates.displayName}`);
+  return runOverpassQuery(buildHealthcareQuery(coordinates, radius * 1000));
+};
+
+// Upsert facilities keyed by osmId
+const importFacilities = async (osmFacilities, dryRun) => {
+  const operations = osmFacilities.map(osmFacility => {
+    const { fields, defaults } = mapOsmFacility(osmFacility);
+    return {
+      updateOne: {
+        filter: { osmId: fields.osmId },
+        update: {
+          $set: { ...fields, updatedAt: Date.now() },
+          $setOnInsert: { ...defaults, active: true, createdAt: Date.now() }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  if (dryRun) {
+    operations.forEach(op => {
+      const fields = { ...op.updateOne.update.$setOnInsert, ...op.updateOne.update.$set };
+      console.log(`[dry run] ${fields.osmId} ${fields.facilityType} ${fields.name}`);
+    });
+    return { upsertedCount: 0, modifiedCount: 0 };
+  }
+
+  const osmIds = operations.map(op => op.updateOne.filter.osmId);
+  const existing = await Facility.find({ osmId: { $in: osmIds } });
+  const before = new Map(existing.map(facility => [facility.osmId, snapshotOf(facility)]));
+
+  const result = await Facility.bulkWrite(operations, { ordered: false });
+  // bulkWrite skips the save middleware that maintains search keys
+  await Facility.syncSearchKeys({ osmId: { $in: osmIds } });
+
+  // One revision per facility the import created or changed
+  const imported = await Facility.find({ osmId: { $in: osmIds } });
+  for (const facility of imported) {
+    await recordRevision(facility, {
+      action: before.has(facility.osmId) ? 'import' : 'create',
+      before: before.get(facility.osmId),
+      source: 'osm-import'
+    });
+  }
+
+  return result;
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file && !args.location) {
+    console.error('Usage: node osm-import.js (--location "<place>" [--radius <km>] | --file <overpass.json>) [--dry-run]');
+    process.exit(1);
+  }
+
+  try {
+    const data = await loadOverpassData(args);
+    const osmFacilities = processOverpassResults(data);
+    console.log(`Found ${osmFacilities.length} OSM healthcare facilities`);
+
+    if (!args['dry-run']) {
+      await connectDB();
+    }
+
+    const result = await importFacilities(osmFacilities, args['dry-run']);
+    console.log(`Import complete: ${result.upsertedCount} new, ${result.modifiedCount} updated`);
+  } catch (err) {
+    console.error('Error importing OSM facilities:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Run the import
+run();
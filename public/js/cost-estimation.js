@@ -1,4 +1,4 @@
-// cost-estimation.js - Add this to your public/js folder
+// public/js/cost-estimation.js - Cost estimator modal
 
 document.addEventListener('DOMContentLoaded', function() {
     // Cost estimation modal setup
@@ -10,8 +10,9 @@ document.addEventListener('DOMContentLoaded', function() {
     
     if (!costEstimationModal) return;
     
-    // Load common procedures
+    // Load common procedures and insurance plans
     loadCommonProcedures();
+    loadInsurancePlans();
     
     // Handle form submission
     if (estimateBtn) {
@@ -37,20 +38,27 @@ document.addEventListener('DOMContentLoaded', function() {
             body: JSON.stringify({
               procedureName: procedure,
               zipCode: zipCode,
-              insuranceType: insurance,
-              radius: 25
+              planId: insurance,
+              radius: 25,
+              units: document.getElementById('distance-units')?.value || 'km',
+              locale: navigator.language
             })
           });
           
           const data = await response.json();
           
+          if (!response.ok) {
+            resultContainer.innerHTML = `<div class="alert alert-warning">${data.error || 'Unable to estimate costs.'}</div>`;
+            return;
+          }
+          
           if (data.providers.length === 0) {
             resultContainer.innerHTML = '<div class="alert alert-info">No cost information found for this procedure in your area.</div>';
             return;
           }
           
           // Display results
-          displayCostResults(data, insurance);
+          displayCostResults(data);
           
         } catch (error) {
           console.error('Error fetching cost estimates:', error);
@@ -67,10 +75,11 @@ document.addEventListener('DOMContentLoaded', function() {
         
         procedureSelect.innerHTML = '<option value="">Select a procedure...</option>';
         
-        procedures.forEach(proc => {
+        // A procedure priced in several currencies is listed once
+        [...new Set(procedures.map(proc => proc.name))].forEach(name => {
           const option = document.createElement('option');
-          option.value = proc.name;
-          option.textContent = proc.name;
+          option.value = name;
+          option.textContent = name;
           procedureSelect.appendChild(option);
         });
         
@@ -80,22 +89,56 @@ document.addEventListener('DOMContentLoaded', function() {
       }
     }
     
+    // Load insurance plans and schemes after the self-pay option
+    async function loadInsurancePlans() {
+      try {
+        const response = await fetch('/api/insurance-plans');
+        const result = await response.json();
+        
+        if (!response.ok) return;
+        
+        result.data.forEach(plan => {
+          const option = document.createElement('option');
+          option.value = plan._id;
+          option.textContent = plan.provider ? `${plan.name} (${plan.provider})` : plan.name;
+          insuranceSelect.appendChild(option);
+        });
+        
+      } catch (error) {
+        console.error('Error loading insurance plans:', error);
+      }
+    }
+    
+    // Breakdown of what the patient pays, shown under the estimate
+    function formatEstimateItems(estimate) {
+      const items = estimate.items
+        .map(entry => `${entry.item}: ${entry.formatted}`)
+        .join('<br>');
+      const notes = estimate.notes
+        .map(note => `<div class="text-muted">${note}</div>`)
+        .join('');
+      
+      return `<small>${items}${notes}</small>`;
+    }
+    
     // Display cost comparison results
-    function displayCostResults(data, insuranceType) {
+    function displayCostResults(data) {
       const providers = data.providers;
       
-      // Sort by cost
-      providers.sort((a, b) => a.averageCost - b.averageCost);
+      // Sort by what the patient would actually pay
+      providers.sort((a, b) => a.estimate.patientPays - b.estimate.patientPays);
+      
+      const planLabel = data.plan ? `with ${data.plan.name}` : 'without insurance';
       
       let html = `
         <h4 class="mb-3">Cost Estimates for ${data.procedureName}</h4>
-        <p class="text-muted mb-4">Showing ${providers.length} providers near ${data.location}</p>
+        <p class="text-muted mb-4">Showing ${providers.length} providers near ${data.location}, estimated ${planLabel}</p>
         <div class="table-responsive">
           <table class="table table-bordered table-hover">
             <thead class="table-light">
               <tr>
                 <th>Provider</th>
-                <th>Average Cost</th>
+                <th>You Pay</th>
                 <th>Range</th>
                 <th>Distance</th>
                 <th>Options</th>
@@ -105,30 +148,14 @@ document.addEventListener('DOMContentLoaded', function() {
       `;
       
       providers.forEach(provider => {
-        // Apply insurance adjustment if applicable
-        let adjustedCost = provider.averageCost;
-        let adjustedMin = provider.minCost;
-        let adjustedMax = provider.maxCost;
-        let discount = '';
+        const estimate = provider.estimate;
+        const range = estimate.formatted.patientPaysRange;
+        let coverage = '';
         
-        if (insuranceType !== 'none') {
-          // Simple simulation of insurance discount
-          if (insuranceType === 'private') {
-            adjustedCost = Math.round(provider.averageCost * 0.6);
-            adjustedMin = Math.round(provider.minCost * 0.6);
-            adjustedMax = Math.round(provider.maxCost * 0.6);
-            discount = '<span class="badge bg-success">40% Insurance Discount</span>';
-          } else if (insuranceType === 'medicare') {
-            adjustedCost = Math.round(provider.averageCost * 0.45);
-            adjustedMin = Math.round(provider.minCost * 0.45);
-            adjustedMax = Math.round(provider.maxCost * 0.45);
-            discount = '<span class="badge bg-success">55% Medicare Rate</span>';
-          } else if (insuranceType === 'medicaid') {
-            adjustedCost = Math.round(provider.averageCost * 0.4);
-            adjustedMin = Math.round(provider.minCost * 0.4);
-            adjustedMax = Math.round(provider.maxCost * 0.4);
-            discount = '<span class="badge bg-success">60% Medicaid Rate</span>';
-          }
+        if (data.plan) {
+          coverage = estimate.covered
+            ? `<span class="badge bg-success">Plan pays ${estimate.formatted.insurancePays}</span>`
+            : '<span class="badge bg-secondary">Not covered</span>';
         }
         
         const paymentOptions = [];
@@ -149,11 +176,13 @@ document.addEventListener('DOMContentLoaded', function() {
               <small class="text-muted">${provider.facilityType}</small>
             </td>
             <td>
-              <strong>$${adjustedCost.toLocaleString()}</strong><br>
-              ${discount}
+              <strong>${estimate.formatted.patientPays}</strong>
+              <small class="text-muted">of ${estimate.formatted.listPrice}</small><br>
+              ${coverage}
+              <div class="mt-1">${formatEstimateItems(estimate)}</div>
             </td>
-            <td>$${adjustedMin.toLocaleString()} - $${adjustedMax.toLocaleString()}</td>
-            <td>${provider.distance.toFixed(1)} miles</td>
+            <td>${range.min && range.max ? `${range.min} - ${range.max}` : 'N/A'}</td>
+            <td>${provider.distanceText}</td>
             <td>
               ${paymentOptions.join(' ')}
               <br>
@@ -179,7 +208,7 @@ document.addEventListener('DOMContentLoaded', function() {
         link.addEventListener('click', function(e) {
           e.preventDefault();
           const facilityId = this.getAttribute('data-id');
-          showFacilityDetails(facilityId);
+          showFacilityDetails(facilityId, 'facility');
         });
       });
     }
@@ -0,0 +1,26 @@
+// routes/claims.js
+const express = require('express');
+const {
+  createClaim,
+  getMyClaims,
+  getClaims,
+  approveClaim,
+  rejectClaim,
+  revokeClaim
+} = require('../controllers/claimController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(authorize('admin'), getClaims)
+  .post(createClaim);
+
+router.get('/mine', getMyClaims);
+router.put('/:id/approve', authorize('admin'), approveClaim);
+router.put('/:id/reject', authorize('admin'), rejectClaim);
+router.put('/:id/revoke', authorize('admin'), revokeClaim);
+
+module.exports = router;
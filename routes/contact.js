@@ -0,0 +1,26 @@
+// routes/contact.js
+const express = require('express');
+const {
+  createContactMessage,
+  getContactMessages,
+  getContactMessage,
+  markHandled,
+  assignMessage,
+  replyToMessage
+} = require('../controllers/contactController');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.post('/', optionalAuth, createContactMessage);
+
+// The inbox is admin only
+router.use('/messages', protect, authorize('admin'));
+
+router.get('/messages', getContactMessages);
+router.get('/messages/:id', getContactMessage);
+router.put('/messages/:id/handled', markHandled);
+router.put('/messages/:id/assign', assignMessage);
+router.post('/messages/:id/replies', replyToMessage);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// routes/costs.js
+const express = require('express');
+const {
+  compareCosts,
+  estimateCost,
+  getCommonProcedures
+} = require('../controllers/costController');
+
+const router = express.Router();
+
+router.post('/cost-compare', compareCosts);
+router.post('/cost-estimate', estimateCost);
+router.get('/common-procedures', getCommonProcedures);
+
+module.exports = router;
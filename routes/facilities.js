@@ -3,26 +3,74 @@ const router = express.Router();
 const {
   getFacilities,
   getFacility,
+  getCareTypes,
+  getAutocomplete,
+  getMapFacilities,
   searchFacilities,
   createFacility,
   updateFacility,
   deleteFacility
 } = require('../controllers/facilityController');
+const {
+  getRevisions,
+  getRevision,
+  rollbackRevision
+} = require('../controllers/revisionController');
+const { createSuggestion } = require('../controllers/suggestionController');
+const {
+  importFacilities,
+  exportFacilities
+} = require('../controllers/facilityDataController');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
 
 // Base facility routes
 router.route('/')
   .get(getFacilities)
-  .post(createFacility);
+  .post(protect, authorize('admin'), createFacility);
 
 // IMPORTANT: Put specific routes before parameter routes
 // Search route - move this BEFORE the /:id route
+// Optional auth so signed-in searches are recorded in the user's history
 router.route('/search')
-  .post(searchFacilities);
+  .post(optionalAuth, searchFacilities);
+
+// Care categories for the search form's service type select
+router.route('/care-types')
+  .get(getCareTypes);
+
+// Suggestions for the search box
+router.route('/autocomplete')
+  .get(getAutocomplete);
+
+// Viewport query for the results map
+router.route('/map')
+  .get(getMapFacilities);
+
+// Bulk import/export. Uploads are read as text here: the app-wide JSON parser only takes
+// application/json and is limited to 100kb, so GeoJSON is sent as application/geo+json
+router.route('/import')
+  .post(
+    protect,
+    authorize('admin'),
+    express.text({ type: ['text/csv', 'text/plain', 'application/geo+json'], limit: '10mb' }),
+    importFacilities
+  );
+router.route('/export')
+  .get(protect, authorize('admin'), exportFacilities);
 
 // Parameter routes should come after specific routes
+// Providers can update their own facility; updateFacility checks ownership and limits the fields
 router.route('/:id')
   .get(getFacility)
-  .put(updateFacility)
-  .delete(deleteFacility);
+  .put(protect, authorize('admin', 'provider'), updateFacility)
+  .delete(protect, authorize('admin'), deleteFacility);
+
+// Revision history; providers can read their own facility's history, only admins roll back
+router.get('/:id/revisions', protect, authorize('admin', 'provider'), getRevisions);
+router.get('/:id/revisions/:revision', protect, authorize('admin', 'provider'), getRevision);
+router.post('/:id/revisions/:revision/rollback', protect, authorize('admin'), rollbackRevision);
+
+// Any signed-in user can suggest an edit; it goes to the review queue at /api/suggestions
+router.post('/:id/suggestions', protect, createSuggestion);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+// routes/insurance.js
+const express = require('express');
+const {
+  getPlans,
+  getPlan,
+  createPlan,
+  updatePlan,
+  deletePlan
+} = require('../controllers/insuranceController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.route('/')
+  .get(getPlans)
+  .post(protect, authorize('admin'), createPlan);
+
+router.route('/:id')
+  .get(getPlan)
+  .put(protect, authorize('admin'), updatePlan)
+  .delete(protect, authorize('admin'), deletePlan);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// routes/moderation.js
+const express = require('express');
+const {
+  getModerationQueue,
+  hideReview,
+  restoreReview,
+  verifyReview,
+  deleteReview,
+  getModerationLog
+} = require('../controllers/moderationController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every moderation route is admin only
+router.use(protect, authorize('admin'));
+
+router.get('/reviews', getModerationQueue);
+router.put('/reviews/:id/hide', hideReview);
+router.put('/reviews/:id/restore', restoreReview);
+router.put('/reviews/:id/verify', verifyReview);
+router.delete('/reviews/:id', deleteReview);
+router.get('/log', getModerationLog);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// routes/provider.js
+const express = require('express');
+const {
+  getMyFacilities,
+  getMyFacility,
+  updateMyFacility
+} = require('../controllers/providerController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Provider-scoped: each route only reaches facilities whose approved claim belongs to the caller
+router.use(protect, authorize('provider'));
+
+router.get('/facilities', getMyFacilities);
+
+router.route('/facilities/:id')
+  .get(getMyFacility)
+  .put(updateMyFacility);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+// routes/reviews.js
+const express = require('express');
+const {
+  getReviews,
+  addReview,
+  updateReview,
+  deleteReview,
+  markHelpful,
+  reportReview
+} = require('../controllers/reviewController');
+const { protect } = require('../middleware/auth');
+
+// mergeParams exposes :facilityId from the parent mount path
+const router = express.Router({ mergeParams: true });
+
+router.route('/')
+  .get(getReviews)
+  .post(protect, addReview);
+
+router.route('/:id')
+  .put(protect, updateReview)
+  .delete(protect, deleteReview);
+
+router.post('/:id/helpful', protect, markHelpful);
+router.post('/:id/report', protect, reportReview);
+
+module.exports = router;
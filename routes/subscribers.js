@@ -0,0 +1,25 @@
+// routes/subscribers.js
+const express = require('express');
+const {
+  subscribe,
+  confirmSubscription,
+  getPreferences,
+  updatePreferences,
+  unsubscribe,
+  exportSubscribers
+} = require('../controllers/subscriberController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.post('/', subscribe);
+router.get('/export', protect, authorize('admin'), exportSubscribers);
+router.post('/confirm/:token', confirmSubscription);
+
+router.route('/:id')
+  .get(getPreferences)
+  .put(updatePreferences);
+
+router.post('/:id/unsubscribe', unsubscribe);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// routes/suggestions.js
+const express = require('express');
+const {
+  getSuggestions,
+  getMySuggestions,
+  getSuggestion,
+  reviewSuggestion
+} = require('../controllers/suggestionController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Suggestions are made through POST /api/facilities/:id/suggestions
+router.get('/', authorize('admin', 'provider'), getSuggestions);
+router.get('/mine', getMySuggestions);
+router.get('/:id', authorize('admin', 'provider'), getSuggestion);
+router.put('/:id/review', authorize('admin', 'provider'), reviewSuggestion);
+
+module.exports = router;
@@ -3,14 +3,112 @@ const express = require('express');
 const {
   register,
   login,
-  getMe
+  getMe,
+  forgotPassword,
+  resetPassword,
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation
 } = require('../controllers/userController');
-const { protect } = require('../middleware/auth');
+const {
+  getSaved,
+  addSaved,
+  updateSaved,
+  removeSaved,
+  getShortlists,
+  createShortlist,
+  getShortlist,
+  updateShortlist,
+  deleteShortlist,
+  addShortlistItem,
+  updateShortlistItem,
+  removeShortlistItem
+} = require('../controllers/shortlistController');
+const {
+  getHistory,
+  clearHistory,
+  deleteHistoryEntry,
+  saveHistoryEntry,
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchResults
+} = require('../controllers/savedSearchController');
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
 router.get('/me', protect, getMe);
+router.post('/forgot-password', forgotPassword);
+router.put('/reset-password/:resetToken', resetPassword);
+
+// Provider and admin accounts are created by invitation only
+router.route('/invitations')
+  .get(protect, authorize('admin'), getInvitations)
+  .post(protect, authorize('admin'), createInvitation);
+
+router.delete('/invitations/:id', protect, authorize('admin'), revokeInvitation);
+
+router.route('/invitations/accept/:token')
+  .get(getInvitation)
+  .post(acceptInvitation);
+
+// Saved facilities; :type is 'facility' for curated records or node/way/relation for OSM results
+router.route('/me/saved')
+  .get(protect, getSaved)
+  .post(protect, addSaved);
+
+router.route('/me/saved/:type/:id')
+  .put(protect, updateSaved)
+  .delete(protect, removeSaved);
+
+// Named shortlists
+router.route('/me/shortlists')
+  .get(protect, getShortlists)
+  .post(protect, createShortlist);
+
+router.route('/me/shortlists/:id')
+  .get(protect, getShortlist)
+  .put(protect, updateShortlist)
+  .delete(protect, deleteShortlist);
+
+router.post('/me/shortlists/:id/items', protect, addShortlistItem);
+
+router.route('/me/shortlists/:id/items/:type/:itemId')
+  .put(protect, updateShortlistItem)
+  .delete(protect, removeShortlistItem);
+
+// Search history and saved searches with new-match alerts
+router.route('/me/history')
+  .get(protect, getHistory)
+  .delete(protect, clearHistory);
+
+router.delete('/me/history/:entryId', protect, deleteHistoryEntry);
+router.post('/me/history/:entryId/save', protect, saveHistoryEntry);
+
+router.route('/me/saved-searches')
+  .get(protect, getSavedSearches)
+  .post(protect, createSavedSearch);
+
+router.route('/me/saved-searches/:id')
+  .put(protect, updateSavedSearch)
+  .delete(protect, deleteSavedSearch);
+
+router.get('/me/saved-searches/:id/results', protect, getSavedSearchResults);
+
+// Alerts raised by the saved search job
+router.get('/me/notifications', protect, getNotifications);
+router.put('/me/notifications/read', protect, markAllNotificationsRead);
+router.put('/me/notifications/:id/read', protect, markNotificationRead);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const Facility = require('./models/Facility');
+const FacilityRevision = require('./models/FacilityRevision');
+const EditSuggestion = require('./models/EditSuggestion');
+const InsurancePlan = require('./models/InsurancePlan');
 require('dotenv').config();
 
 // Make sure these are consistent - use the same name in your .env file
@@ -124,17 +127,52 @@ facilities.forEach(facility => {
   });
 });
 
+// Sample insurance plans and government schemes (amounts in INR)
+const insurancePlans = [
+  {
+    name: 'Chief Minister\'s Comprehensive Health Insurance Scheme',
+    provider: 'Government of Tamil Nadu',
+    planType: 'government_scheme',
+    country: 'IN',
+    coinsurance: 0,
+    // Package rates: the scheme pays up to a fixed amount per procedure
+    coveredProcedures: commonProcedures.map(proc => ({
+      procedureName: proc.procedureName,
+      coverageLimit: proc.maxCost
+    }))
+  },
+  {
+    name: 'Family Health Optima',
+    provider: 'Star Health',
+    planType: 'private',
+    country: 'IN',
+    deductible: 1000,
+    copay: 200,
+    coinsurance: 0.2,
+    outOfPocketMax: 25000,
+    outOfNetworkCovered: true,
+    outOfNetworkCoinsurance: 0.4
+  }
+];
+
 // Seed the database
 const seedDatabase = async () => {
   try {
     // Clear existing data
     await Facility.deleteMany({});
+    // Revisions and suggestions for the deleted facilities would be orphaned
+    await FacilityRevision.deleteMany({});
+    await EditSuggestion.deleteMany({});
     console.log('Previous facility data cleared');
     
     // Insert new data
     const result = await Facility.insertMany(facilities);
     console.log(`Database seeded with ${result.length} Tamil Nadu healthcare facilities`);
     
+    await InsurancePlan.deleteMany({});
+    const plans = await InsurancePlan.insertMany(insurancePlans);
+    console.log(`Database seeded with ${plans.length} insurance plans`);
+    
     // Close connection
     mongoose.connection.close();
     console.log('Database connection closed');
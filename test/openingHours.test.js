@@ -0,0 +1,21 @@
+// test/openingHours.test.js - Regression cases for OSM opening_hours parsing
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseOsmOpeningHours } = require('../utils/openingHours');
+
+test('PH as a range endpoint is not understood instead of looping forever', () => {
+  assert.strictEqual(parseOsmOpeningHours('Mo-PH 09:00-17:00'), null);
+  assert.strictEqual(parseOsmOpeningHours('PH-Fr 09:00-17:00'), null);
+});
+
+test('a bad rule leaves the rules around it intact', () => {
+  const schedule = parseOsmOpeningHours('Mo-Fr 09:00-17:00; Sa-PH 10:00-12:00');
+  assert.deepStrictEqual(schedule.days.monday, [{ start: 540, end: 1020 }]);
+  assert.deepStrictEqual(schedule.days.saturday, []);
+});
+
+test('PH on its own still marks public holidays', () => {
+  const schedule = parseOsmOpeningHours('Mo-Fr 09:00-17:00; PH off');
+  assert.deepStrictEqual(schedule.days.friday, [{ start: 540, end: 1020 }]);
+  assert.deepStrictEqual(schedule.publicHolidays, []);
+});
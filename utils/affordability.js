@@ -0,0 +1,202 @@
+// utils/affordability.js - Affordability score and sort orders for search results
+const { PAYMENT_OPTION_LABELS, getPaymentOptionKeys } = require('./paymentOptions');
+const { formatDistance } = require('./units');
+
+const SORTS = ['distance', 'cost', 'rating', 'score'];
+
+// Points each factor can contribute; they add up to a score out of 100
+const WEIGHTS = {
+  cost: 30,
+  distance: 25,
+  paymentOptions: 20,
+  costValue: 15,
+  openNow: 10
+};
+
+// How much each payment option helps someone on a tight budget, 0..1
+const AFFORDABLE_PAYMENT_OPTIONS = {
+  freeCare: 1,
+  slidingScale: 0.7,
+  charityCare: 0.7,
+  financialAssistance: 0.5
+};
+
+const COST_LEVEL_LABELS = ['Very low', 'Low', 'Moderate', 'Standard'];
+
+// Unknown factors score halfway so missing data neither helps nor sinks a result
+const UNKNOWN = 0.5;
+
+const badRequest = message => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Validate a maximum cost level sent by a client
+ * @param {string|number} value - 0 (very low) to 3 (standard); empty means any
+ * @returns {number|null} - The level, or null for any
+ */
+function parseMaxCostLevel(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const level = Number(value);
+  if (!Number.isInteger(level) || level < 0 || level > 3) {
+    throw badRequest('maxCostLevel must be 0 (very low) to 3 (standard)');
+  }
+  return level;
+}
+
+/**
+ * Validate search ranking parameters
+ * @param {Object} params - {sort, maxCostLevel} as sent by the client
+ * @returns {Object} - {sort, maxCostLevel}; sort defaults to 'distance', maxCostLevel is null for any
+ */
+function parseRankingOptions({ sort, maxCostLevel } = {}) {
+  const sortValue = sort || 'distance';
+  if (!SORTS.includes(sortValue)) {
+    throw badRequest(`sort must be one of: ${SORTS.join(', ')}`);
+  }
+  return { sort: sortValue, maxCostLevel: parseMaxCostLevel(maxCostLevel) };
+}
+
+/**
+ * Cost level of a result: the curated costLevel, or 0 for OSM places tagged as free
+ * @param {Object} facility - Search result
+ * @returns {number|null} - 0..3, null when unknown
+ */
+function effectiveCostLevel(facility) {
+  if (typeof facility.costLevel === 'number') return facility.costLevel;
+  return getPaymentOptionKeys(facility).includes('freeCare') ? 0 : null;
+}
+
+const costFactor = facility => {
+  const level = effectiveCostLevel(facility);
+  if (level === null) return { value: UNKNOWN, reason: 'Cost level unknown' };
+  return { value: (3 - level) / 3, reason: `${COST_LEVEL_LABELS[level]} cost level` };
+};
+
+const distanceFactor = (facility, { radiusKm, units, locale }) => {
+  if (typeof facility.distance !== 'number') return { value: UNKNOWN, reason: 'Distance unknown' };
+  return {
+    value: Math.max(0, 1 - facility.distance / radiusKm),
+    reason: `${formatDistance(facility.distance, units, locale)} away`
+  };
+};
+
+// With payment options requested, the share of them offered; otherwise the most helpful option offered
+const paymentOptionsFactor = (facility, { paymentOptions }) => {
+  const offered = getPaymentOptionKeys(facility);
+
+  if (paymentOptions.length > 0) {
+    const matched = paymentOptions.filter(key => offered.includes(key));
+    return {
+      value: matched.length / paymentOptions.length,
+      reason: matched.length > 0
+        ? `Offers ${matched.map(key => PAYMENT_OPTION_LABELS[key] || key).join(', ')}`
+        : 'Offers none of the requested payment options'
+    };
+  }
+
+  const helpful = offered.filter(key => AFFORDABLE_PAYMENT_OPTIONS[key]);
+  if (helpful.length === 0) return { value: 0, reason: 'No free or reduced-cost care listed' };
+  return {
+    value: Math.max(...helpful.map(key => AFFORDABLE_PAYMENT_OPTIONS[key])),
+    reason: `Offers ${helpful.map(key => PAYMENT_OPTION_LABELS[key]).join(', ')}`
+  };
+};
+
+// Reviewers rate value from 1 to 5; the average is null when none of them did (0 on older documents)
+const costValueFactor = facility => {
+  const ratings = facility.ratings || {};
+  if (!ratings.reviewCount || typeof ratings.costValue !== 'number' || ratings.costValue < 1) {
+    return { value: UNKNOWN, reason: 'No cost ratings yet' };
+  }
+  return {
+    value: ratings.costValue / 5,
+    reason: `Rated ${ratings.costValue.toFixed(1)}/5 for value by ${ratings.reviewCount} reviewer(s)`
+  };
+};
+
+const openNowFactor = facility => {
+  if (facility.isOpen === true) return { value: 1, reason: 'Open now' };
+  if (facility.isOpen === false) return { value: 0, reason: 'Closed now' };
+  return { value: UNKNOWN, reason: 'Opening hours unknown' };
+};
+
+const FACTORS = {
+  cost: costFactor,
+  distance: distanceFactor,
+  paymentOptions: paymentOptionsFactor,
+  costValue: costValueFactor,
+  openNow: openNowFactor
+};
+
+/**
+ * Score how affordable and convenient a result is, with the reason behind each factor
+ * @param {Object} facility - Search result with distance in km and isOpen
+ * @param {Object} context - {radiusKm, paymentOptions (schema keys), units, locale}
+ * @returns {Object} - {score: 0..100, breakdown: [{factor, weight, points, reason}]}
+ */
+function scoreFacility(facility, context) {
+  const breakdown = Object.keys(WEIGHTS).map(factor => {
+    const { value, reason } = FACTORS[factor](facility, context);
+    return {
+      factor,
+      weight: WEIGHTS[factor],
+      points: Math.round(value * WEIGHTS[factor] * 10) / 10,
+      reason
+    };
+  });
+
+  return {
+    score: Math.round(breakdown.reduce((sum, entry) => sum + entry.points, 0)),
+    breakdown
+  };
+}
+
+// Results missing the sort value go last; ties are broken by distance
+const byDistance = (a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity);
+const ascendingMissingLast = (a, b) => (a === null ? 1 : 0) - (b === null ? 1 : 0) || (a ?? 0) - (b ?? 0);
+
+const COMPARATORS = {
+  distance: byDistance,
+  cost: (a, b) => ascendingMissingLast(effectiveCostLevel(a), effectiveCostLevel(b)) || byDistance(a, b),
+  rating: (a, b) => {
+    const ratingOf = facility => {
+      const ratings = facility.ratings || {};
+      return ratings.reviewCount && typeof ratings.overall === 'number' ? -ratings.overall : null;
+    };
+    return ascendingMissingLast(ratingOf(a), ratingOf(b)) || byDistance(a, b);
+  },
+  score: (a, b) => b.affordability.score - a.affordability.score || byDistance(a, b)
+};
+
+/**
+ * Score, filter and sort search results
+ * @param {Array} facilities - Search results with distance in km
+ * @param {Object} options - {sort, maxCostLevel} from parseRankingOptions, plus the scoring context
+ *   {radiusKm, paymentOptions, units, locale}
+ * @returns {Array} - Results with an `affordability` score and breakdown, in sort order. With
+ *   maxCostLevel, results whose cost level is unknown are left out.
+ */
+function rankFacilities(facilities, { sort, maxCostLevel, ...context }) {
+  return facilities
+    .filter(facility => {
+      if (maxCostLevel === null || maxCostLevel === undefined) return true;
+      const level = effectiveCostLevel(facility);
+      return level !== null && level <= maxCostLevel;
+    })
+    .map(facility => ({ ...facility, affordability: scoreFacility(facility, context) }))
+    .sort(COMPARATORS[sort]);
+}
+
+module.exports = {
+  SORTS,
+  WEIGHTS,
+  parseMaxCostLevel,
+  parseRankingOptions,
+  effectiveCostLevel,
+  scoreFacility,
+  rankFacilities
+};
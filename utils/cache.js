@@ -0,0 +1,149 @@
+// utils/cache.js - TTL cache for upstream map API responses, backed by memory or Mongo
+const mongoose = require('mongoose');
+const CacheEntry = require('../models/CacheEntry');
+
+const MEMORY_MAX_ENTRIES = 1000;
+
+// In-process store; oldest entries are evicted once the limit is reached
+const memoryStore = {
+  entries: new Map(),
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  },
+
+  async set(key, value, ttlSeconds) {
+    if (this.entries.size >= MEMORY_MAX_ENTRIES && !this.entries.has(key)) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+  },
+
+  async clear() {
+    this.entries.clear();
+  }
+};
+
+// Shared store in the CacheEntry collection; acts as a miss while Mongo is not connected
+const mongoStore = {
+  isConnected() {
+    return mongoose.connection.readyState === 1;
+  },
+
+  async get(key) {
+    if (!this.isConnected()) return undefined;
+    const entry = await CacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return entry ? entry.value : undefined;
+  },
+
+  async set(key, value, ttlSeconds) {
+    if (!this.isConnected()) return;
+    await CacheEntry.updateOne(
+      { key },
+      { value, expiresAt: new Date(Date.now() + ttlSeconds * 1000) },
+      { upsert: true }
+    );
+  },
+
+  async clear() {
+    if (!this.isConnected()) return;
+    await CacheEntry.deleteMany({});
+  }
+};
+
+const stores = {
+  memory: memoryStore,
+  mongo: mongoStore
+};
+
+// Requests currently being fetched, so concurrent identical lookups share one upstream call
+const inFlight = new Map();
+
+const getStore = () => stores[process.env.CACHE_STORE] || memoryStore;
+
+/**
+ * Normalize free text for use in a cache key
+ * @param {string} value - e.g. " Chennai,  Tamil Nadu "
+ * @returns {string} - e.g. "chennai, tamil nadu"
+ */
+function normalizeKey(value) {
+  return String(value).toLowerCase().replace(/\s+/g, ' ').replace(/\s*,\s*/g, ', ').trim();
+}
+
+/**
+ * Read a cached value
+ * @param {string} key - Cache key
+ * @returns {Promise} - Resolves to the value or undefined
+ */
+async function get(key) {
+  try {
+    return await getStore().get(key);
+  } catch (error) {
+    console.error('Cache read error:', error.message);
+    return undefined;
+  }
+}
+
+/**
+ * Store a value
+ * @param {string} key - Cache key
+ * @param {*} value - JSON-serialisable value
+ * @param {number} ttlSeconds - Time to live
+ */
+async function set(key, value, ttlSeconds) {
+  try {
+    await getStore().set(key, value, ttlSeconds);
+  } catch (error) {
+    console.error('Cache write error:', error.message);
+  }
+}
+
+/**
+ * Return the cached value for key, or compute, cache and return it
+ * @param {string} key - Cache key
+ * @param {number} ttlSeconds - Time to live for a freshly computed value
+ * @param {Function} compute - Async function producing the value
+ * @returns {Promise} - Resolves to the cached or computed value
+ */
+async function wrap(key, ttlSeconds, compute) {
+  const cached = await get(key);
+  if (cached !== undefined) return cached;
+
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const pending = (async () => {
+    try {
+      const value = await compute();
+      if (value !== undefined && value !== null) {
+        await set(key, value, ttlSeconds);
+      }
+      return value;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+
+  inFlight.set(key, pending);
+  return pending;
+}
+
+/**
+ * Remove every cached entry from the active store
+ */
+async function clear() {
+  await getStore().clear();
+}
+
+module.exports = {
+  get,
+  set,
+  wrap,
+  clear,
+  normalizeKey
+};
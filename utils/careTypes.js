@@ -0,0 +1,162 @@
+// utils/careTypes.js - Care categories shared by the Overpass query, OSM mapping, Facility schema and UI
+//
+// Each category's `value` is what the search form sends as careType and what Facility.facilityType
+// stores. `selectors` are the OSM tags that put an element in the category: exact tag values, or
+// `contains` for list-valued tags such as healthcare:speciality. A selector's own `label`
+// overrides the category label for display.
+
+const CARE_TYPES = [
+  {
+    value: 'hospital',
+    label: 'Hospital',
+    selectors: [
+      { key: 'amenity', value: 'hospital' },
+      { key: 'healthcare', value: 'hospital' }
+    ],
+    specialties: ['General Hospital Services']
+  },
+  {
+    value: 'clinic',
+    label: 'Clinic',
+    selectors: [
+      { key: 'amenity', value: 'clinic' },
+      { key: 'healthcare', value: 'clinic' },
+      { key: 'healthcare', value: 'centre', label: 'Health Center' },
+      { key: 'social_facility', value: 'healthcare', label: 'Community Health Center' }
+    ],
+    specialties: ['General Clinic Services']
+  },
+  {
+    value: 'doctors',
+    label: 'Doctor\'s Office',
+    selectors: [
+      { key: 'amenity', value: 'doctors' },
+      { key: 'healthcare', value: 'doctor' }
+    ],
+    specialties: ['General Practice']
+  },
+  {
+    value: 'dentist',
+    label: 'Dental Care',
+    selectors: [
+      { key: 'amenity', value: 'dentist' },
+      { key: 'healthcare', value: 'dentist' }
+    ],
+    specialties: ['Dentistry']
+  },
+  {
+    value: 'pharmacy',
+    label: 'Pharmacy',
+    selectors: [
+      { key: 'amenity', value: 'pharmacy' },
+      { key: 'healthcare', value: 'pharmacy' }
+    ],
+    specialties: ['Pharmacy']
+  },
+  {
+    value: 'mental',
+    label: 'Mental Health',
+    selectors: [
+      { key: 'healthcare', value: 'psychotherapist' },
+      { key: 'healthcare', value: 'psychology' },
+      { key: 'healthcare', value: 'counselling' },
+      { key: 'healthcare:speciality', contains: 'psychiatry' }
+    ],
+    specialties: ['Mental Health']
+  }
+];
+
+const CARE_TYPE_VALUES = CARE_TYPES.map(careType => careType.value);
+
+const selectorMatches = (selector, tags) => {
+  const tag = tags[selector.key];
+  if (tag === undefined) return false;
+  return selector.contains
+    ? tag.split(';').map(part => part.trim()).includes(selector.contains)
+    : tag === selector.value;
+};
+
+/**
+ * Find the category and selector that OSM tags belong to. Exact tags such as amenity=clinic take
+ * precedence over `contains` selectors, so a psychiatry ward in a hospital stays a hospital.
+ * @param {Object} tags - OSM element tags
+ * @returns {Object|null} - {careType, selector}, or null when no category matches
+ */
+function matchCareType(tags = {}) {
+  for (const exact of [true, false]) {
+    for (const careType of CARE_TYPES) {
+      const selector = careType.selectors.find(candidate =>
+        Boolean(candidate.contains) !== exact && selectorMatches(candidate, tags));
+      if (selector) return { careType, selector };
+    }
+  }
+  return null;
+}
+
+/**
+ * Category value for OSM tags
+ * @param {Object} tags - OSM element tags
+ * @returns {string|null} - e.g. 'dentist', or null when no category matches
+ */
+function careTypeForTags(tags) {
+  const match = matchCareType(tags);
+  return match ? match.careType.value : null;
+}
+
+/**
+ * Display label for OSM tags
+ * @param {Object} tags - OSM element tags
+ * @returns {string|null} - e.g. 'Health Center', or null when no category matches
+ */
+function careTypeLabelForTags(tags) {
+  const match = matchCareType(tags);
+  return match ? match.selector.label || match.careType.label : null;
+}
+
+/**
+ * Default specialties of the category OSM tags belong to
+ * @param {Object} tags - OSM element tags
+ * @returns {Array} - Specialty names, empty when no category matches
+ */
+function careTypeSpecialties(tags) {
+  const match = matchCareType(tags);
+  return match ? [...match.careType.specialties] : [];
+}
+
+/**
+ * Overpass QL selectors for every category, covering nodes, ways and relations
+ * @param {string} area - Filter appended to each selector, e.g. "(around:5000,13.08,80.27)"
+ * @returns {Array} - Statements such as 'nwr["amenity"="hospital"](around:...);'
+ */
+function overpassSelectors(area) {
+  return CARE_TYPES.flatMap(careType => careType.selectors.map(selector => (selector.contains
+    ? `nwr["${selector.key}"~"(^|;)${selector.contains}(;|$)"]${area};`
+    : `nwr["${selector.key}"="${selector.value}"]${area};`)));
+}
+
+/**
+ * Validate a careType sent by a client
+ * @param {string} value - Category value; empty means any category
+ * @returns {string|null} - The category value, or null for any
+ */
+function parseCareType(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const careType = String(value).trim().toLowerCase();
+  if (!CARE_TYPE_VALUES.includes(careType)) {
+    const error = new Error(`careType must be one of: ${CARE_TYPE_VALUES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return careType;
+}
+
+module.exports = {
+  CARE_TYPES,
+  CARE_TYPE_VALUES,
+  careTypeForTags,
+  careTypeLabelForTags,
+  careTypeSpecialties,
+  overpassSelectors,
+  parseCareType
+};
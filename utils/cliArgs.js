@@ -0,0 +1,30 @@
+// utils/cliArgs.js - Command line parsing for the import scripts
+
+/**
+ * Parse --key value / --flag command line arguments
+ * @param {Array} argv - Arguments, usually process.argv.slice(2)
+ * @returns {Object} - {key: value} with true for flags without a value; other arguments are
+ *   collected in order under `_`
+ */
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args._.push(argv[i]);
+      continue;
+    }
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+module.exports = {
+  parseArgs
+};
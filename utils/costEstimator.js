@@ -0,0 +1,154 @@
+// utils/costEstimator.js - Itemized out-of-pocket estimate for a procedure at a facility under a plan
+
+const round = value => Math.round(value);
+
+/**
+ * Find the plan's coverage entry for a procedure
+ * @param {Object} plan - InsurancePlan document or plain object
+ * @param {string} procedureName - Procedure name
+ * @returns {Object|null} - Coverage entry, {} when the plan covers every procedure, null when not covered
+ */
+function getProcedureCoverage(plan, procedureName) {
+  const covered = plan.coveredProcedures || [];
+  if (covered.length === 0) return {};
+  const name = procedureName.toLowerCase();
+  return covered.find(entry => entry.procedureName.toLowerCase() === name) || null;
+}
+
+/**
+ * Whether a facility is in the plan's network
+ * @param {Object} plan - Insurance plan
+ * @param {string} facilityId - Facility id
+ * @returns {boolean}
+ */
+function isInNetwork(plan, facilityId) {
+  const network = plan.inNetworkFacilities || [];
+  return network.length === 0 || network.some(id => String(id) === String(facilityId));
+}
+
+/**
+ * Split one price between patient and plan
+ * @param {number} price - Facility charge
+ * @param {Object} terms - {deductibleRemaining, copay, coinsurance, outOfPocketRemaining, coverageLimit}
+ * @returns {Object} - {patientPays, insurancePays, items}
+ */
+function splitCost(price, terms) {
+  const items = [];
+
+  const deductible = Math.min(price, terms.deductibleRemaining);
+  if (deductible > 0) items.push({ item: 'Deductible', amount: round(deductible) });
+
+  const afterDeductible = price - deductible;
+  const copay = Math.min(afterDeductible, terms.copay);
+  if (copay > 0) items.push({ item: 'Copay', amount: round(copay) });
+
+  const coinsurance = (afterDeductible - copay) * terms.coinsurance;
+  if (coinsurance > 0) {
+    items.push({ item: `Coinsurance (${Math.round(terms.coinsurance * 100)}%)`, amount: round(coinsurance) });
+  }
+
+  let patientPays = deductible + copay + coinsurance;
+
+  if (terms.outOfPocketRemaining !== undefined && patientPays > terms.outOfPocketRemaining) {
+    items.push({ item: 'Out-of-pocket maximum reached', amount: -round(patientPays - terms.outOfPocketRemaining) });
+    patientPays = terms.outOfPocketRemaining;
+  }
+
+  // Anything the plan would pay beyond its limit falls back to the patient
+  if (terms.coverageLimit !== undefined && price - patientPays > terms.coverageLimit) {
+    const excess = price - patientPays - terms.coverageLimit;
+    items.push({ item: 'Above plan coverage limit', amount: round(excess) });
+    patientPays += excess;
+  }
+
+  return {
+    patientPays: round(patientPays),
+    insurancePays: round(price - patientPays),
+    items
+  };
+}
+
+/**
+ * Estimate what a patient owes for a procedure
+ * @param {Object} params
+ * @param {Object} params.procedure - Facility procedureCosts entry {procedureName, averageCost, minCost, maxCost, currency}
+ * @param {Object} params.facility - Facility (needs _id/id and paymentOptions)
+ * @param {Object} [params.plan] - Insurance plan; omit for self-pay
+ * @param {number} [params.deductibleMet] - Deductible already paid this year
+ * @param {number} [params.outOfPocketSpent] - Out-of-pocket spending so far this year
+ * @returns {Object} - Itemized estimate
+ */
+function estimateOutOfPocket({ procedure, facility, plan, deductibleMet = 0, outOfPocketSpent = 0 }) {
+  const listPrice = procedure.averageCost;
+  const range = { min: procedure.minCost, max: procedure.maxCost };
+  const notes = [];
+  const paymentOptions = facility.paymentOptions || {};
+
+  if (paymentOptions.freeCare) notes.push('This facility offers free care to eligible patients.');
+  if (paymentOptions.slidingScale) notes.push('Sliding-scale fees based on income may lower this amount.');
+
+  const selfPay = reason => ({
+    procedureName: procedure.procedureName,
+    currency: procedure.currency,
+    listPrice,
+    covered: false,
+    inNetwork: false,
+    insurancePays: 0,
+    patientPays: listPrice,
+    patientPaysRange: range,
+    items: [{ item: 'Facility charge', amount: listPrice }],
+    notes: reason ? [reason, ...notes] : notes
+  });
+
+  if (!plan) return selfPay();
+
+  // Plan amounts can't be applied to a price in another currency
+  if (procedure.currency && plan.currency && procedure.currency !== plan.currency) {
+    return selfPay(`${plan.name} amounts are in ${plan.currency} but this facility charges in ${procedure.currency}.`);
+  }
+
+  const coverage = getProcedureCoverage(plan, procedure.procedureName);
+  if (!coverage) return selfPay(`${plan.name} does not cover ${procedure.procedureName}.`);
+
+  const inNetwork = isInNetwork(plan, facility._id || facility.id);
+  if (!inNetwork && !plan.outOfNetworkCovered) {
+    return selfPay(`This facility is not in the ${plan.name} network.`);
+  }
+
+  const terms = {
+    deductibleRemaining: Math.max(0, (plan.deductible || 0) - deductibleMet),
+    copay: coverage.copay !== undefined && coverage.copay !== null ? coverage.copay : plan.copay || 0,
+    coinsurance: inNetwork
+      ? (coverage.coinsurance !== undefined && coverage.coinsurance !== null ? coverage.coinsurance : plan.coinsurance || 0)
+      : plan.outOfNetworkCoinsurance,
+    outOfPocketRemaining: plan.outOfPocketMax !== undefined && plan.outOfPocketMax !== null
+      ? Math.max(0, plan.outOfPocketMax - outOfPocketSpent)
+      : undefined,
+    coverageLimit: coverage.coverageLimit !== undefined && coverage.coverageLimit !== null ? coverage.coverageLimit : undefined
+  };
+
+  const estimate = splitCost(listPrice, terms);
+  if (!inNetwork) notes.unshift('Out-of-network rates apply at this facility.');
+
+  return {
+    procedureName: procedure.procedureName,
+    currency: procedure.currency,
+    listPrice,
+    covered: true,
+    inNetwork,
+    insurancePays: estimate.insurancePays,
+    patientPays: estimate.patientPays,
+    patientPaysRange: {
+      min: range.min !== undefined ? splitCost(range.min, terms).patientPays : undefined,
+      max: range.max !== undefined ? splitCost(range.max, terms).patientPays : undefined
+    },
+    items: [{ item: 'Facility charge', amount: listPrice }, ...estimate.items],
+    notes
+  };
+}
+
+module.exports = {
+  estimateOutOfPocket,
+  getProcedureCoverage,
+  isInNetwork
+};
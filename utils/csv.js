@@ -0,0 +1,104 @@
+// utils/csv.js - CSV reading and writing for admin imports and exports
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote one CSV field when needed
+ * @param {*} value - Field value; arrays are joined with ";"
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  if (value instanceof Date) text = value.toISOString();
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array} columns - [{header, value: row => *}]
+ * @param {Array} rows - Records to export
+ * @returns {string} - CSV with a header line and CRLF line endings
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => csvField(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => csvField(column.value(row))).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parse a CSV document (RFC 4180: quoted fields may contain commas, quotes and line breaks)
+ * @param {string} text - CSV text; the first line holds the headers
+ * @returns {Object} - {headers, rows}; each row is {line, values} with its 1-based line number
+ *   in the file and an object mapping header to value. Blank lines are skipped.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet apps
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, values: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, values: record });
+  }
+
+  const nonBlank = records.filter(({ values }) => values.some(value => value.trim() !== ''));
+  if (nonBlank.length === 0) return { headers: [], rows: [] };
+
+  const headers = nonBlank[0].values.map(header => header.trim());
+  const rows = nonBlank.slice(1).map(({ line: rowLine, values }) => {
+    const row = {};
+    headers.forEach((header, index) => {
+      // Undo the formula guard added by csvField
+      const value = (values[index] || '').trim();
+      row[header] = /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+    });
+    return { line: rowLine, values: row };
+  });
+
+  return { headers, rows };
+}
+
+module.exports = {
+  csvField,
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,495 @@
+// utils/facilityData.js - Bulk import and export of facilities as CSV or GeoJSON
+//
+// Both formats use the same flat fields: CSV column headers and GeoJSON feature properties are
+// Facility schema paths such as "name" or "address.city", plus "lat"/"lon" for the location.
+// Lists (services) are separated with ";", and paymentOptions/accessibility list the flags that
+// are true, e.g. "freeCare;slidingScale".
+const Facility = require('../models/Facility');
+const { geocodeAddress } = require('../map-integration');
+const { toCsv, parseCsv } = require('./csv');
+const { recordRevision, snapshotOf } = require('./facilityRevisions');
+
+const FORMATS = ['csv', 'geojson'];
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Import/export fields in column order
+const FIELDS = [
+  'id',
+  'name',
+  'facilityType',
+  'address.street',
+  'address.city',
+  'address.state',
+  'address.zipCode',
+  'lat',
+  'lon',
+  'contact.phone',
+  'contact.email',
+  'contact.website',
+  'costLevel',
+  'currency',
+  'services',
+  'paymentOptions',
+  'accessibility',
+  ...DAYS.map(day => `hours.${day}`),
+  'timezone',
+  'osmId'
+];
+
+// Fields holding a set of boolean flags
+const FLAG_FIELDS = ['paymentOptions', 'accessibility'];
+
+// Rows per import; large geocoded files are better run through facility-data.js
+const MAX_IMPORT_ROWS = 5000;
+
+// Rows with the same name this close together are treated as the same facility
+const DUPLICATE_DISTANCE_M = 100;
+
+const badRequest = message => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const flagKeys = field => Object.keys(Facility.schema.tree[field]);
+
+const normalizeName = name => String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Great-circle distance in meters
+const distanceMeters = ([lon1, lat1], [lon2, lat2]) => {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const isBlank = value => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+const toList = value => (Array.isArray(value) ? value : String(value).split(';'))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Read an uploaded file into records
+ * @param {string|Object} input - CSV text, or GeoJSON as text or an already parsed object
+ * @param {string} format - 'csv' or 'geojson'
+ * @returns {Object} - {headers, records}; each record is {row, values, geometry}, where row is the
+ *   CSV line number or the 1-based GeoJSON feature number
+ */
+function readImportFile(input, format) {
+  if (!FORMATS.includes(format)) {
+    throw badRequest(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  if (format === 'csv') {
+    if (typeof input !== 'string') throw badRequest('Send the CSV file as text/csv');
+    const { headers, rows } = parseCsv(input);
+    return {
+      headers,
+      records: rows.map(({ line, values }) => ({ row: line, values }))
+    };
+  }
+
+  let geojson = input;
+  if (typeof input === 'string') {
+    try {
+      geojson = JSON.parse(input);
+    } catch (err) {
+      throw badRequest('The GeoJSON file is not valid JSON');
+    }
+  }
+  const features = geojson && geojson.type === 'FeatureCollection' ? geojson.features
+    : geojson && geojson.type === 'Feature' ? [geojson]
+      : null;
+  if (!Array.isArray(features)) {
+    throw badRequest('GeoJSON must be a Feature or FeatureCollection');
+  }
+
+  const headers = new Set();
+  const records = features.map((feature, index) => {
+    const values = (feature && feature.properties) || {};
+    Object.keys(values).forEach(key => headers.add(key));
+    return { row: index + 1, values, geometry: feature && feature.geometry };
+  });
+  return { headers: [...headers], records };
+}
+
+/**
+ * Resolve which field each source column feeds
+ * @param {Array} headers - Column headers or property names found in the file
+ * @param {Object} mapping - Optional {sourceColumn: field}; columns already named after a field
+ *   don't need mapping
+ * @returns {Object} - {columns: {sourceColumn: field}, ignored: [sourceColumn]}
+ */
+function resolveColumns(headers, mapping = {}) {
+  const unknown = Object.values(mapping).filter(field => !FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown fields in mapping: ${unknown.join(', ')}. Fields are: ${FIELDS.join(', ')}`);
+  }
+
+  const columns = {};
+  const ignored = [];
+  headers.forEach(header => {
+    const field = mapping[header] || (FIELDS.includes(header) ? header : null);
+    if (field) {
+      columns[header] = field;
+    } else {
+      ignored.push(header);
+    }
+  });
+  return { columns, ignored };
+}
+
+// Convert one source value for a field, or record why it can't be used
+const parseValue = (field, value, errors) => {
+  if (field === 'services') return toList(value);
+
+  if (FLAG_FIELDS.includes(field)) {
+    const keys = flagKeys(field);
+    const flags = {};
+    keys.forEach(key => { flags[key] = false; });
+    // GeoJSON may give the flags as an object instead of a list
+    const listed = typeof value === 'object' && !Array.isArray(value)
+      ? Object.keys(value).filter(key => value[key])
+      : toList(value);
+    listed.forEach(key => {
+      if (keys.includes(key)) {
+        flags[key] = true;
+      } else {
+        errors.push({ field, message: `Unknown ${field} flag "${key}"; use ${keys.join(', ')}` });
+      }
+    });
+    return flags;
+  }
+
+  if (Array.isArray(value) || typeof value === 'object') {
+    errors.push({ field, message: `${field} must be a single value` });
+    return undefined;
+  }
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+// Set a dot-notation path on a plain object
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+};
+
+// Coordinates the 2dsphere index accepts; NaN and strings fail every comparison
+const validLonLat = (lon, lat) => typeof lon === 'number' && typeof lat === 'number' &&
+  lon >= -180 && lon <= 180 && lat >= -90 && lat <= 90;
+
+const readCoordinates = (values, geometry, errors) => {
+  if (!isBlank(values.lat) || !isBlank(values.lon)) {
+    const lat = parseFloat(values.lat);
+    const lon = parseFloat(values.lon);
+    if (!validLonLat(lon, lat)) {
+      errors.push({ field: 'location', message: 'lat and lon must both be given, within -90..90 and -180..180' });
+      return null;
+    }
+    return [lon, lat];
+  }
+  if (geometry) {
+    if (geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+      errors.push({ field: 'location', message: 'Feature geometry must be a Point' });
+      return null;
+    }
+    const [lon, lat] = geometry.coordinates;
+    if (geometry.coordinates.length !== 2 || !validLonLat(lon, lat)) {
+      errors.push({ field: 'location', message: 'Point coordinates must be [lon, lat], within -180..180 and -90..90' });
+      return null;
+    }
+    return [lon, lat];
+  }
+  return null;
+};
+
+const addressString = address => [
+  address.street,
+  address.city,
+  [address.state, address.zipCode].filter(Boolean).join(' ')
+].filter(Boolean).join(', ');
+
+// A record's non-blank values keyed by field
+const recordValues = (record, columns) => {
+  const values = {};
+  Object.entries(record.values).forEach(([column, value]) => {
+    const field = columns[column];
+    if (field && !isBlank(value)) values[field] = value;
+  });
+  return values;
+};
+
+// Rows without lat/lon or a geometry are geocoded, one geocoder request each
+const needsGeocoding = (record, columns) => {
+  const values = recordValues(record, columns);
+  return isBlank(values.lat) && isBlank(values.lon) && !record.geometry;
+};
+
+/**
+ * Turn one record into Facility fields, validated against the schema. Rows without coordinates
+ * are geocoded from their address once everything else is valid.
+ * @param {Object} record - {values, geometry} from readImportFile
+ * @param {Object} columns - {sourceColumn: field} from resolveColumns
+ * @returns {Promise} - Resolves to {id, fields, errors}
+ */
+async function prepareRecord(record, columns) {
+  const errors = [];
+  const values = recordValues(record, columns);
+
+  const fields = {};
+  Object.entries(values).forEach(([field, value]) => {
+    if (['id', 'lat', 'lon'].includes(field)) return;
+    const parsed = parseValue(field, value, errors);
+    if (parsed !== undefined) setPath(fields, field, parsed);
+  });
+
+  const coordinates = readCoordinates(values, record.geometry, errors);
+  const facility = new Facility({ ...fields, location: { type: 'Point', coordinates } });
+  const validation = facility.validateSync();
+  if (validation) {
+    Object.values(validation.errors)
+      // Missing coordinates are geocoded below
+      .filter(err => coordinates || err.path !== 'location.coordinates')
+      .forEach(err => {
+        errors.push({ field: err.path, message: err.message });
+      });
+  }
+
+  if (errors.length === 0 && !coordinates) {
+    const address = addressString(fields.address || {});
+    if (!address) {
+      errors.push({ field: 'location', message: 'Add lat/lon or an address to geocode' });
+    } else {
+      try {
+        const result = await geocodeAddress(address);
+        fields.location = { type: 'Point', coordinates: [result.lon, result.lat] };
+        fields.address.formatted = result.displayName;
+      } catch (err) {
+        errors.push({ field: 'location', message: `Could not geocode "${address}"` });
+      }
+    }
+  } else if (coordinates) {
+    fields.location = { type: 'Point', coordinates };
+  }
+
+  return { id: values.id, fields, errors };
+}
+
+// An existing facility the row describes: same id or osmId, or same name close by
+const findExisting = async (id, fields) => {
+  if (id) {
+    const byId = await Facility.findById(id).catch(() => null);
+    if (byId) return byId;
+  }
+  if (fields.osmId) {
+    const byOsmId = await Facility.findOne({ osmId: fields.osmId });
+    if (byOsmId) return byOsmId;
+  }
+  return Facility.findOne({
+    name: new RegExp(`^${escapeRegex(fields.name)}$`, 'i'),
+    location: {
+      $near: {
+        $geometry: fields.location,
+        $maxDistance: DUPLICATE_DISTANCE_M
+      }
+    }
+  });
+};
+
+/**
+ * Import facilities from a CSV or GeoJSON file. Invalid rows and rows repeating an earlier row
+ * are never written; rows matching an existing facility are skipped or, with
+ * onDuplicate 'update', applied to it. A dry run reports the same outcome without writing.
+ * @param {string|Object} input - File contents (see readImportFile)
+ * @param {Object} options - {format, mapping, dryRun, onDuplicate: 'skip'|'update', user,
+ *   maxGeocodedRows}; maxGeocodedRows caps the rows without coordinates, which are geocoded one
+ *   request at a time
+ * @returns {Promise} - Resolves to a report: counts plus per-row errors and duplicates
+ */
+async function importFacilities(input, {
+  format,
+  mapping,
+  dryRun = false,
+  onDuplicate = 'skip',
+  user,
+  maxGeocodedRows = Infinity
+} = {}) {
+  if (!['skip', 'update'].includes(onDuplicate)) {
+    throw badRequest("onDuplicate must be 'skip' or 'update'");
+  }
+
+  const { headers, records } = readImportFile(input, format);
+  if (records.length === 0) throw badRequest('The file has no rows to import');
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw badRequest(`Import up to ${MAX_IMPORT_ROWS} rows at a time`);
+  }
+
+  const { columns, ignored } = resolveColumns(headers, mapping);
+  if (!Object.values(columns).includes('name')) {
+    throw badRequest('No column maps to name; pass a mapping for your column headers');
+  }
+
+  const toGeocode = records.filter(record => needsGeocoding(record, columns)).length;
+  if (toGeocode > maxGeocodedRows) {
+    throw badRequest(`${toGeocode} rows have no lat/lon and would need geocoding; up to ` +
+      `${maxGeocodedRows} are geocoded per upload. Add coordinates, or import the file with ` +
+      '`node facility-data.js import`, which has no such limit');
+  }
+
+  const report = {
+    format,
+    dryRun,
+    total: records.length,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    ignoredColumns: ignored,
+    errors: [],
+    duplicates: []
+  };
+  const source = `${format}-import`;
+  const seen = new Map();
+
+  for (const record of records) {
+    const { id, fields, errors } = await prepareRecord(record, columns);
+    if (errors.length > 0) {
+      report.failed++;
+      report.errors.push({ row: record.row, name: fields.name, errors });
+      continue;
+    }
+
+    // Repeats within the file
+    const key = normalizeName(fields.name);
+    const earlier = (seen.get(key) || []).find(other =>
+      distanceMeters(other.coordinates, fields.location.coordinates) <= DUPLICATE_DISTANCE_M);
+    if (earlier) {
+      report.skipped++;
+      report.duplicates.push({ row: record.row, name: fields.name, match: 'file', matchRow: earlier.row, action: 'skipped' });
+      continue;
+    }
+    seen.set(key, [...(seen.get(key) || []), { row: record.row, coordinates: fields.location.coordinates }]);
+
+    const existing = await findExisting(id, fields);
+    if (existing) {
+      const action = onDuplicate === 'update' ? 'updated' : 'skipped';
+      report[action]++;
+      report.duplicates.push({ row: record.row, name: fields.name, match: 'existing', facility: existing._id, action });
+
+      if (action === 'updated' && !dryRun) {
+        const before = snapshotOf(existing);
+        existing.set(fields);
+        await existing.save();
+        await recordRevision(existing, { action: 'import', before, user, source });
+      }
+      continue;
+    }
+
+    report.created++;
+    if (!dryRun) {
+      const facility = await Facility.create(fields);
+      await recordRevision(facility, { action: 'create', user, source });
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Build the export query
+ * @param {Object} filters - {region, type, costLevel}; region matches the state or city, type and
+ *   costLevel take comma-separated lists
+ * @returns {Object} - Mongo query for active facilities
+ */
+function exportQuery({ region, type, costLevel } = {}) {
+  const query = { active: true };
+
+  if (region) {
+    const pattern = new RegExp(`^${escapeRegex(String(region).trim())}$`, 'i');
+    query.$or = [{ 'address.state': pattern }, { 'address.city': pattern }];
+  }
+  if (type) {
+    const types = toList(String(type).replace(/,/g, ';'));
+    const allowed = Facility.schema.path('facilityType').enumValues;
+    const unknown = types.filter(value => !allowed.includes(value));
+    if (unknown.length > 0) throw badRequest(`type must be one of: ${allowed.join(', ')}`);
+    query.facilityType = { $in: types };
+  }
+  if (costLevel !== undefined && costLevel !== '') {
+    const levels = toList(String(costLevel).replace(/,/g, ';')).map(Number);
+    if (levels.some(level => !Number.isInteger(level) || level < 0 || level > 3)) {
+      throw badRequest('costLevel must be between 0 and 3');
+    }
+    query.costLevel = { $in: levels };
+  }
+
+  return query;
+}
+
+// Value of one export field for a lean facility
+const exportValue = (facility, field) => {
+  if (field === 'id') return String(facility._id);
+  if (field === 'lat') return facility.location.coordinates[1];
+  if (field === 'lon') return facility.location.coordinates[0];
+  if (FLAG_FIELDS.includes(field)) {
+    const flags = facility[field] || {};
+    return Object.keys(flags).filter(key => flags[key] === true);
+  }
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), facility);
+};
+
+/**
+ * Export facilities in the import format
+ * @param {Object} filters - See exportQuery
+ * @param {string} format - 'csv' or 'geojson'
+ * @returns {Promise} - Resolves to {count, body}; body is CSV text or a GeoJSON FeatureCollection
+ */
+async function exportFacilities(filters, format) {
+  if (!FORMATS.includes(format)) {
+    throw badRequest(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const facilities = await Facility.find(exportQuery(filters)).sort({ name: 1 }).lean();
+
+  if (format === 'csv') {
+    const columns = FIELDS.map(field => ({ header: field, value: facility => exportValue(facility, field) }));
+    return { count: facilities.length, body: toCsv(columns, facilities) };
+  }
+
+  const features = facilities.map(facility => {
+    const properties = {};
+    FIELDS.filter(field => !['lat', 'lon'].includes(field)).forEach(field => {
+      const value = exportValue(facility, field);
+      if (value !== undefined) properties[field] = value;
+    });
+    return {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: facility.location.coordinates },
+      properties
+    };
+  });
+  return { count: facilities.length, body: { type: 'FeatureCollection', features } };
+}
+
+module.exports = {
+  FIELDS,
+  FORMATS,
+  readImportFile,
+  resolveColumns,
+  importFacilities,
+  exportQuery,
+  exportFacilities
+};
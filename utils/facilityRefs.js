@@ -0,0 +1,144 @@
+// utils/facilityRefs.js - Build and resolve references to curated facilities and OSM-only results
+const mongoose = require('mongoose');
+const Facility = require('../models/Facility');
+const { getFacilityDetails, toOsmId } = require('../map-integration');
+
+const OSM_TYPES = ['node', 'way', 'relation'];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Turn a {type, id} pair, as used by /api/facilities/:type/:id, into reference fields
+ * @param {string} type - 'facility' or an OSM element type
+ * @param {string} id - Mongo id or OSM element id
+ * @returns {Object} - {facility} or {osmId}
+ */
+function parseFacilityKey(type, id) {
+  if (type === 'facility') {
+    if (!mongoose.isValidObjectId(id)) throw httpError(404, 'Facility not found');
+    return { facility: String(id) };
+  }
+  if (!OSM_TYPES.includes(type) || !/^\d+$/.test(String(id))) {
+    throw httpError(400, "type must be 'facility', 'node', 'way' or 'relation' with a matching id");
+  }
+  return { osmId: toOsmId(type, id) };
+}
+
+/**
+ * Key of a search result in the "facility/<id>" or "node/123" form used by references
+ * @param {Object} result - Search result with source, type and id
+ * @returns {string}
+ */
+function facilityKeyOf(result) {
+  return result.source === 'osm' ? toOsmId(result.type, result.id) : `facility/${result.id}`;
+}
+
+/**
+ * Whether a stored reference points at the parsed key
+ * @param {Object} ref - FacilityRef subdocument
+ * @param {Object} parsed - Result of parseFacilityKey
+ * @returns {boolean}
+ */
+function matchesFacilityKey(ref, parsed) {
+  if (parsed.facility) return Boolean(ref.facility) && String(ref.facility) === parsed.facility;
+  return ref.osmId === parsed.osmId;
+}
+
+/**
+ * Build a reference with a display snapshot
+ * @param {Object} params - {type, id, note} plus optional name/facilityType/address/lat/lon
+ *   used for OSM results when Overpass can't be reached
+ * @returns {Promise} - Resolves to FacilityRef fields
+ */
+async function buildFacilityRef({ type, id, note, ...fallback }) {
+  const parsed = parseFacilityKey(type, id);
+
+  if (parsed.facility) {
+    const facility = await Facility.findOne({ _id: parsed.facility, active: true });
+    if (!facility) throw httpError(404, 'Facility not found');
+    return {
+      facility: facility._id,
+      name: facility.name,
+      facilityType: facility.facilityType,
+      address: facility.fullAddress,
+      lat: facility.location.coordinates[1],
+      lon: facility.location.coordinates[0],
+      note
+    };
+  }
+
+  let snapshot;
+  try {
+    snapshot = await getFacilityDetails(id, type);
+  } catch (error) {
+    if (error.message === 'Facility not found') throw httpError(404, 'Facility not found');
+    // Overpass being down shouldn't stop someone saving a result they can already see
+    snapshot = fallback;
+  }
+
+  return {
+    osmId: parsed.osmId,
+    name: snapshot.name,
+    facilityType: snapshot.facilityType,
+    address: snapshot.address,
+    lat: snapshot.lat,
+    lon: snapshot.lon,
+    note
+  };
+}
+
+/**
+ * Expand references for API responses. Curated data is used when the facility exists,
+ * including OSM-only entries that have since been imported.
+ * @param {Array} refs - FacilityRef subdocuments
+ * @returns {Promise} - Resolves to [{key, type, id, osmId, note, addedAt, source, available, facility}]
+ */
+async function resolveFacilityRefs(refs) {
+  const facilityIds = refs.filter(ref => ref.facility).map(ref => ref.facility);
+  const osmIds = refs.filter(ref => ref.osmId).map(ref => ref.osmId);
+
+  const [facilities, linked] = await Promise.all([
+    facilityIds.length > 0 ? Facility.find({ _id: { $in: facilityIds } }) : [],
+    osmIds.length > 0 ? Facility.find({ osmId: { $in: osmIds }, active: true }) : []
+  ]);
+
+  const byId = new Map(facilities.map(facility => [String(facility._id), facility]));
+  const byOsmId = new Map(linked.map(facility => [facility.osmId, facility]));
+
+  return refs.map(ref => {
+    const curated = ref.facility ? byId.get(String(ref.facility)) : byOsmId.get(ref.osmId);
+    const [type, id] = ref.facility ? ['facility', String(ref.facility)] : ref.osmId.split('/');
+    const snapshot = {
+      name: ref.name,
+      facilityType: ref.facilityType,
+      address: ref.address,
+      lat: ref.lat,
+      lon: ref.lon
+    };
+
+    return {
+      key: ref.key,
+      type,
+      id,
+      osmId: ref.osmId || (curated && curated.osmId),
+      note: ref.note,
+      addedAt: ref.addedAt,
+      source: curated ? 'curated' : 'osm',
+      // Curated facilities can be deactivated after being saved
+      available: ref.facility ? Boolean(curated && curated.active) : true,
+      facility: curated && curated.active ? curated.toPublicJSON() : snapshot
+    };
+  });
+}
+
+module.exports = {
+  parseFacilityKey,
+  facilityKeyOf,
+  matchesFacilityKey,
+  buildFacilityRef,
+  resolveFacilityRefs
+};
@@ -0,0 +1,128 @@
+// utils/facilityRevisions.js - Record facility changes as numbered revisions with field-level diffs
+const Facility = require('../models/Facility');
+const FacilityRevision = require('../models/FacilityRevision');
+
+// Fields maintained elsewhere: ratings by reviews, provider by claims, timestamps by Mongoose,
+// search keys derived from the other fields
+const UNTRACKED_FIELDS = [
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'ratings',
+  'provider',
+  'providerUpdatedAt',
+  'searchKeys'
+];
+
+// Top-level schema fields a revision covers and a rollback restores
+const TRACKED_FIELDS = [...new Set(Object.keys(Facility.schema.paths).map(path => path.split('.')[0]))]
+  .filter(field => !UNTRACKED_FIELDS.includes(field));
+
+/**
+ * Plain copy of a facility's tracked fields
+ * @param {Object} facility - Facility document or plain object
+ * @returns {Object} - JSON-safe snapshot (ObjectIds and dates as strings)
+ */
+function snapshotOf(facility) {
+  if (!facility) return {};
+  const data = typeof facility.toObject === 'function'
+    ? facility.toObject({ depopulate: true, virtuals: false })
+    : { ...facility };
+
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    if (data[field] !== undefined) snapshot[field] = data[field];
+  });
+  return JSON.parse(JSON.stringify(snapshot));
+}
+
+// Flatten nested objects to dot paths; arrays are compared as whole values
+function flatten(value, prefix, out) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.keys(value).forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, out));
+  } else if (value !== undefined) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Field-level differences between two snapshots
+ * @param {Object} before - Earlier snapshot ({} for a new facility)
+ * @param {Object} after - Later snapshot
+ * @returns {Array} - [{path, before, after}] sorted by path; missing values are undefined
+ */
+function diffSnapshots(before, after) {
+  const oldValues = flatten(before || {}, '', {});
+  const newValues = flatten(after || {}, '', {});
+  const paths = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])].sort();
+
+  return paths
+    .filter(path => JSON.stringify(oldValues[path]) !== JSON.stringify(newValues[path]))
+    .map(path => ({ path, before: oldValues[path], after: newValues[path] }));
+}
+
+/**
+ * Store a revision for a facility that has just been written. Updates that changed no tracked
+ * field are skipped. Failures are logged, not thrown: the facility change is already saved.
+ * @param {Object} facility - Facility document after the change
+ * @param {Object} options - {action, before, user, source, rolledBackTo, suggestion}; before is
+ *   the snapshotOf() the facility before the change, omitted for creates; suggestion is the
+ *   EditSuggestion whose accepted fields made the change
+ * @returns {Promise} - Resolves to the revision, or null when nothing changed or it couldn't be stored
+ */
+async function recordRevision(facility, { action, before, user, source = 'api', rolledBackTo, suggestion }) {
+  const snapshot = snapshotOf(facility);
+  const changes = diffSnapshots(before, snapshot);
+  if (changes.length === 0 && action !== 'create') return null;
+
+  try {
+    // Two writes to the same facility can pick the same number; the unique index rejects one and it retries
+    for (let attempt = 1; ; attempt++) {
+      const latest = await FacilityRevision.findOne({ facility: facility._id })
+        .sort({ revision: -1 })
+        .select('revision');
+
+      try {
+        return await FacilityRevision.create({
+          facility: facility._id,
+          revision: latest ? latest.revision + 1 : 1,
+          action,
+          author: user && user._id,
+          authorRole: user && user.role,
+          source,
+          changes,
+          snapshot,
+          rolledBackTo,
+          suggestion: suggestion && suggestion._id,
+          suggestedBy: suggestion && suggestion.user
+        });
+      } catch (err) {
+        if (err.code !== 11000 || attempt >= 3) throw err;
+      }
+    }
+  } catch (err) {
+    console.error(`Facility revision error (${facility._id}):`, err);
+    return null;
+  }
+}
+
+/**
+ * Put a facility's tracked fields back to a snapshot; fields the snapshot lacks are cleared
+ * @param {Object} facility - Facility document (not saved here)
+ * @param {Object} snapshot - Snapshot from a revision
+ */
+function applySnapshot(facility, snapshot) {
+  TRACKED_FIELDS.forEach(field => {
+    facility.set(field, snapshot[field]);
+  });
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotOf,
+  diffSnapshots,
+  recordRevision,
+  applySnapshot
+};
@@ -0,0 +1,369 @@
+// utils/facilitySearch.js - Hybrid search across curated Facility records and live OpenStreetMap data
+const mongoose = require('mongoose');
+const Facility = require('../models/Facility');
+const {
+  MAX_SEARCH_RADIUS_KM,
+  geocodeAddress,
+  searchHealthcareFacilities,
+  getFacilityDetails,
+  calculateDistance,
+  toOsmId
+} = require('../map-integration');
+const { getOpenStatus } = require('./openingHours');
+const { parseUnitOptions, toKilometers, formatDistance, labelFacility } = require('./units');
+const { parseCareType } = require('./careTypes');
+const {
+  normalizePaymentOptions,
+  getPaymentOptionKeys,
+  osmMatchesPaymentOptions
+} = require('./paymentOptions');
+const { parseRankingOptions, rankFacilities } = require('./affordability');
+const { parseTextQuery, searchKeysFor, matchesQuery, textSearchTerms } = require('./textSearch');
+const { getSearchVocabulary } = require('./searchTerms');
+
+// Two records with the same name closer than this are treated as the same place
+const DUPLICATE_DISTANCE_KM = 0.15;
+
+// Maximum number of curated records pulled from Mongo per search
+const CURATED_LIMIT = 50;
+
+// For converting a radius to the radians $centerSphere expects
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Normalize a facility name for duplicate detection
+ * @param {string} name - Facility name
+ * @returns {string} - Lowercased name without punctuation
+ */
+function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Query curated facilities from Mongo around a point
+ * @param {Object} coords - {lat, lon} search centre
+ * @param {number} radius - Search radius in kilometers
+ * @param {Object} filters - {careType, paymentOptions, maxCostLevel, text}; careType is a
+ *   parseCareType() value, paymentOptions are schema payment keys and text is {query, terms} from
+ *   parseTextQuery() and textSearchTerms()
+ * @returns {Promise} - Resolves to array of Facility documents, nearest first, or best text
+ *   matches first when searching text
+ */
+async function searchCuratedFacilities(coords, radius, {
+  careType,
+  paymentOptions = [],
+  maxCostLevel = null,
+  text = null
+} = {}) {
+  const query = { active: true };
+
+  // $text can't be combined with $near, so text searches use an unordered radius instead
+  if (text) {
+    query.$text = { $search: text.terms };
+    query.location = {
+      $geoWithin: {
+        $centerSphere: [[coords.lon, coords.lat], radius / EARTH_RADIUS_KM]
+      }
+    };
+  } else {
+    query.location = {
+      $near: {
+        $geometry: {
+          type: 'Point',
+          coordinates: [coords.lon, coords.lat]
+        },
+        $maxDistance: radius * 1000
+      }
+    };
+  }
+
+  if (careType) {
+    query.facilityType = careType;
+  }
+
+  if (maxCostLevel !== null) {
+    query.costLevel = { $lte: maxCostLevel };
+  }
+
+  if (paymentOptions.length > 0) {
+    query.$or = paymentOptions.map(key => ({ [`paymentOptions.${key}`]: true }));
+  }
+
+  if (!text) {
+    return Facility.find(query).limit(CURATED_LIMIT);
+  }
+
+  // $text matches any term; keep the facilities that match every word of the query
+  const facilities = await Facility.find(query, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(CURATED_LIMIT);
+  return facilities.filter(facility => matchesQuery(searchKeysFor(facility), text.query));
+}
+
+/**
+ * Find the curated record describing the same place as an OSM result
+ * @param {Object} osmFacility - Processed OSM facility
+ * @param {Array} curated - Curated results (public JSON)
+ * @returns {Object|undefined} - Matching curated result
+ */
+function findCuratedMatch(osmFacility, curated) {
+  const osmId = toOsmId(osmFacility.type, osmFacility.id);
+  const byOsmId = curated.find(facility =>
+    facility.osmId === osmId || facility.osmId === String(osmFacility.id)
+  );
+  if (byOsmId) return byOsmId;
+
+  const name = normalizeName(osmFacility.name);
+  if (!name) return undefined;
+
+  return curated.find(facility =>
+    normalizeName(facility.name) === name &&
+    calculateDistance(facility, osmFacility) <= DUPLICATE_DISTANCE_KM
+  );
+}
+
+/**
+ * Merge an OSM result into its curated counterpart. Curated fields win; OSM only fills gaps.
+ * @param {Object} curatedFacility - Curated result (public JSON)
+ * @param {Object} osmFacility - Processed OSM facility
+ * @returns {Object} - Merged result
+ */
+function mergeFacility(curatedFacility, osmFacility) {
+  const merged = { ...curatedFacility };
+
+  Object.keys(osmFacility).forEach(key => {
+    if (merged[key] === undefined || merged[key] === null || merged[key] === '') {
+      merged[key] = osmFacility[key];
+    }
+  });
+
+  merged.id = curatedFacility.id;
+  merged.type = osmFacility.type;
+  merged.osmId = curatedFacility.osmId || toOsmId(osmFacility.type, osmFacility.id);
+  merged.tags = osmFacility.tags;
+  merged.source = 'merged';
+  return merged;
+}
+
+/**
+ * Combine curated and OSM results, removing duplicates
+ * @param {Array} curated - Curated results (public JSON with distance)
+ * @param {Array} osm - Processed OSM facilities
+ * @returns {Array} - Deduplicated results sorted by distance
+ */
+function mergeResults(curated, osm) {
+  const results = curated.map(facility => ({ ...facility }));
+
+  osm.forEach(osmFacility => {
+    const match = findCuratedMatch(osmFacility, results);
+    if (match) {
+      results[results.indexOf(match)] = mergeFacility(match, osmFacility);
+    } else {
+      results.push({
+        ...osmFacility,
+        osmId: toOsmId(osmFacility.type, osmFacility.id),
+        source: 'osm'
+      });
+    }
+  });
+
+  return results.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Add isOpen and nextOpenAt, computed in the facility's timezone
+ * @param {Object} facility - Search result
+ * @param {Date} date - Instant to evaluate
+ * @returns {Object} - Result with open status fields
+ */
+function withOpenStatus(facility, date) {
+  const { isOpen, nextOpenAt } = getOpenStatus(facility, date);
+  return { ...facility, isOpen, nextOpenAt };
+}
+
+/**
+ * Search both curated Mongo facilities and OpenStreetMap around a location
+ * @param {Object} params - {location, q, radius, careType, paymentOptions, openNow, openAt, units,
+ *   locale, sort, maxCostLevel}
+ * @param {string} [params.q] - Free text matched against names, services, procedures and places,
+ *   tolerating typos and transliteration variants
+ * @param {number} [params.radius] - Search radius in `units`
+ * @param {string} [params.sort] - 'distance' (default), 'cost', 'rating' or 'score'
+ * @param {number} [params.maxCostLevel] - Highest cost level (0-3) to include
+ * @returns {Promise} - Resolves to {coordinates, providers, q, radius, units, locale, sort, maxCostLevel,
+ *   failedSources}; distances are in `units`, each provider carries an affordability score, and
+ *   failedSources lists 'curated'/'osm' when one source was unavailable
+ */
+async function hybridSearch({
+  location,
+  q,
+  radius = 10,
+  careType,
+  paymentOptions = [],
+  openNow,
+  openAt,
+  units,
+  locale,
+  sort,
+  maxCostLevel
+}) {
+  const unitOptions = parseUnitOptions({ units, locale });
+  const ranking = parseRankingOptions({ sort, maxCostLevel });
+  const radiusKm = toKilometers(radius, unitOptions.units);
+  if (!(radiusKm > 0)) {
+    const error = new Error('radius must be a positive number');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (radiusKm > MAX_SEARCH_RADIUS_KM) {
+    const maxRadius = formatDistance(MAX_SEARCH_RADIUS_KM, unitOptions.units, unitOptions.locale);
+    const error = new Error(`radius must be at most ${maxRadius}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Open status is evaluated at openAt when given, otherwise now
+  const evaluatedAt = openAt ? new Date(openAt) : new Date();
+  if (Number.isNaN(evaluatedAt.getTime())) {
+    const error = new Error('openAt must be a valid date and time');
+    error.statusCode = 400;
+    throw error;
+  }
+  const filterOpen = Boolean(openAt) || openNow === true || openNow === 'true';
+
+  const careTypeValue = parseCareType(careType);
+  const textQuery = parseTextQuery(q);
+  const coordinates = await geocodeAddress(location);
+  const paymentKeys = normalizePaymentOptions(paymentOptions);
+  const text = textQuery && {
+    query: textQuery,
+    terms: textSearchTerms(textQuery, await getSearchVocabulary())
+  };
+
+  // Either source may be unavailable (Mongo down, Overpass timeout); only fail if both are
+  const [curatedResult, osmResult] = await Promise.allSettled([
+    searchCuratedFacilities(coordinates, radiusKm, {
+      careType: careTypeValue,
+      paymentOptions: paymentKeys,
+      maxCostLevel: ranking.maxCostLevel,
+      text
+    }),
+    searchHealthcareFacilities(coordinates, radiusKm)
+  ]);
+
+  if (curatedResult.status === 'rejected' && osmResult.status === 'rejected') {
+    throw osmResult.reason;
+  }
+  if (curatedResult.status === 'rejected') {
+    console.error('Curated facility search error:', curatedResult.reason);
+  }
+  if (osmResult.status === 'rejected') {
+    console.error('OSM facility search error:', osmResult.reason);
+  }
+
+  const curated = (curatedResult.value || []).map(facility => {
+    const result = facility.toPublicJSON();
+    return {
+      ...result,
+      distance: calculateDistance(coordinates, result),
+      source: 'curated'
+    };
+  });
+
+  let osm = osmResult.value || [];
+  if (careTypeValue) {
+    osm = osm.filter(facility => facility.careType === careTypeValue);
+  }
+  osm = osm.filter(facility => osmMatchesPaymentOptions(facility, paymentKeys));
+  if (textQuery) {
+    osm = osm.filter(facility => matchesQuery(searchKeysFor(facility), textQuery));
+  }
+
+  let providers = mergeResults(curated, osm).map(facility => withOpenStatus(facility, evaluatedAt));
+
+  // Facilities with unknown hours cannot be confirmed open, so they drop out of open filters
+  if (filterOpen) {
+    providers = providers.filter(facility => facility.isOpen === true);
+  }
+
+  providers = rankFacilities(providers, {
+    ...ranking,
+    radiusKm,
+    paymentOptions: paymentKeys,
+    ...unitOptions
+  });
+
+  return {
+    coordinates,
+    providers: providers.map(facility => labelFacility(facility, unitOptions)),
+    q: textQuery ? textQuery.text : null,
+    radius: Number(radius),
+    ...unitOptions,
+    ...ranking,
+    failedSources: [
+      ...(curatedResult.status === 'rejected' ? ['curated'] : []),
+      ...(osmResult.status === 'rejected' ? ['osm'] : [])
+    ]
+  };
+}
+
+/**
+ * Add open status plus the parsed weekly schedule for the details view
+ * @param {Object} facility - Facility details
+ * @returns {Object} - Details with isOpen, nextOpenAt, schedule and timezone
+ */
+function withSchedule(facility) {
+  return { ...facility, ...getOpenStatus(facility) };
+}
+
+/**
+ * Get facility details from either source. OSM details are overlaid with curated data when linked.
+ * @param {string} id - Mongo ID (type 'facility') or OSM element ID
+ * @param {string} type - 'facility', 'node', 'way' or 'relation'
+ * @param {Object} [options] - {units, locale} for labelling costs
+ * @returns {Promise} - Resolves to facility details
+ */
+async function getHybridFacilityDetails(id, type, options = {}) {
+  const unitOptions = parseUnitOptions(options);
+
+  if (type === 'facility') {
+    // A malformed ID can't name a facility; findById would fail with a CastError instead
+    const facility = mongoose.isValidObjectId(id) ? await Facility.findById(id) : null;
+    if (!facility || !facility.active) {
+      const error = new Error('Facility not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return labelFacility(withSchedule({ ...facility.toPublicJSON(), source: 'curated' }), unitOptions);
+  }
+
+  const details = await getFacilityDetails(id, type);
+
+  let curated;
+  try {
+    curated = await Facility.findOne({
+      osmId: { $in: [toOsmId(type, id), String(id)] },
+      active: true
+    });
+  } catch (error) {
+    console.error('Curated facility lookup error:', error);
+  }
+
+  if (!curated) {
+    return labelFacility(withSchedule({ ...details, osmId: toOsmId(type, id), source: 'osm' }), unitOptions);
+  }
+  return labelFacility(withSchedule(mergeFacility(curated.toPublicJSON(), details)), unitOptions);
+}
+
+module.exports = {
+  hybridSearch,
+  getHybridFacilityDetails,
+  searchCuratedFacilities,
+  mergeResults,
+  normalizePaymentOptions,
+  getPaymentOptionKeys
+};
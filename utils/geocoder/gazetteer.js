@@ -0,0 +1,106 @@
+// utils/geocoder/gazetteer.js - Offline geocoding from the bundled gazetteer dataset
+const path = require('path');
+const fs = require('fs');
+
+const DEFAULT_DATASET = path.join(__dirname, '..', '..', 'data', 'gazetteer.json');
+
+// Confidence reported for each kind of match
+const CONFIDENCE = {
+  postalCode: 0.9,
+  placeName: 0.7,
+  pinPrefix: 0.6,
+  partialName: 0.4
+};
+
+let dataset;
+
+// Load the dataset lazily so a missing file only affects this provider
+const loadDataset = () => {
+  if (!dataset) {
+    const file = process.env.GAZETTEER_FILE || DEFAULT_DATASET;
+    dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  return dataset;
+};
+
+const normalize = value => value.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+
+const placeDisplayName = place => `${place.name}, ${place.state}, ${place.country === 'IN' ? 'India' : 'United States'}`;
+
+const placeNames = place => [place.name, ...(place.aliases || [])].map(normalize);
+
+/**
+ * Resolve an Indian PIN code (6 digits) or US ZIP code (5 digits)
+ * @param {string} address - Raw address
+ * @returns {Object|null} - Geocode result
+ */
+function matchPostalCode(address) {
+  const { postalCodes, places } = loadDataset();
+  const pin = address.match(/\b(\d{3})\s?(\d{3})\b/);
+  const zip = address.match(/\b\d{5}\b/);
+
+  if (pin) {
+    const code = pin[1] + pin[2];
+    const exact = postalCodes.find(entry => entry.country === 'IN' && entry.code === code);
+    if (exact) {
+      return { lat: exact.lat, lon: exact.lon, displayName: `${exact.place} ${code}`, confidence: CONFIDENCE.postalCode };
+    }
+
+    // Fall back to the sorting district the PIN prefix belongs to
+    const district = places.find(place => (place.pinPrefixes || []).includes(pin[1]));
+    if (district) {
+      return { lat: district.lat, lon: district.lon, displayName: `${placeDisplayName(district)} ${code}`, confidence: CONFIDENCE.pinPrefix };
+    }
+  }
+
+  if (zip) {
+    const exact = postalCodes.find(entry => entry.country === 'US' && entry.code === zip[0]);
+    if (exact) {
+      return { lat: exact.lat, lon: exact.lon, displayName: `${exact.place} ${exact.code}`, confidence: CONFIDENCE.postalCode };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a city name (or alias) appearing in any comma-separated part of the address
+ * @param {string} address - Raw address
+ * @returns {Object|null} - Geocode result
+ */
+function matchPlaceName(address) {
+  const { places } = loadDataset();
+  const parts = address.split(',').map(normalize).filter(Boolean);
+
+  for (const part of parts) {
+    const exact = places.find(place => placeNames(place).includes(part));
+    if (exact) {
+      return { lat: exact.lat, lon: exact.lon, displayName: placeDisplayName(exact), confidence: CONFIDENCE.placeName };
+    }
+  }
+
+  // Partial match, e.g. "Chennai Central" or "Madurai district"
+  const text = normalize(address);
+  const partial = places.find(place =>
+    placeNames(place).some(name => name.length >= 4 && new RegExp(`\\b${name}\\b`).test(text))
+  );
+  if (partial) {
+    return { lat: partial.lat, lon: partial.lon, displayName: placeDisplayName(partial), confidence: CONFIDENCE.partialName };
+  }
+
+  return null;
+}
+
+/**
+ * Geocode an address from the local gazetteer
+ * @param {string} address - User-provided address or location
+ * @returns {Promise} - Resolves to {lat, lon, displayName, confidence} or null when nothing matches
+ */
+async function geocode(address) {
+  return matchPostalCode(address) || matchPlaceName(address);
+}
+
+module.exports = {
+  name: 'gazetteer',
+  geocode
+};
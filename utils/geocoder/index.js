@@ -0,0 +1,81 @@
+// utils/geocoder/index.js - Pluggable geocoder chain
+//
+// A provider is an object with a `name` and an async `geocode(address)` that resolves to
+// {lat, lon, displayName, confidence} or null on a miss. Providers are tried in the order
+// given by GEOCODER_PROVIDERS (comma-separated, default "nominatim,gazetteer").
+const nominatim = require('./nominatim');
+const gazetteer = require('./gazetteer');
+
+const providers = {
+  [nominatim.name]: nominatim,
+  [gazetteer.name]: gazetteer
+};
+
+const DEFAULT_CHAIN = 'nominatim,gazetteer';
+
+/**
+ * Register an additional geocoding provider
+ * @param {Object} provider - {name, geocode}
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.geocode !== 'function') {
+    throw new Error('Geocoder providers need a name and a geocode(address) function');
+  }
+  providers[provider.name] = provider;
+}
+
+/**
+ * Resolve the configured provider chain
+ * @returns {Array} - Provider objects in the order they should be tried
+ */
+function getProviderChain() {
+  const names = (process.env.GEOCODER_PROVIDERS || DEFAULT_CHAIN)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return names.map(name => {
+    if (!providers[name]) {
+      throw new Error(`Unknown geocoder provider: ${name}`);
+    }
+    return providers[name];
+  });
+}
+
+// An unrecognised location is the client's input problem, so endpoints report it as a 400
+const locationNotFound = () => {
+  const error = new Error('Location not found');
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Geocode an address by trying each configured provider until one answers
+ * @param {string} address - User-provided address or location
+ * @returns {Promise} - Resolves to {lat, lon, displayName, provider, confidence}
+ */
+async function geocode(address) {
+  if (!address || !String(address).trim()) {
+    throw locationNotFound();
+  }
+
+  for (const provider of getProviderChain()) {
+    try {
+      const result = await provider.geocode(String(address).trim());
+      if (result) {
+        return { ...result, provider: provider.name };
+      }
+    } catch (error) {
+      // Fall through to the next provider (offline, rate limited, ...)
+      console.error(`Geocoder ${provider.name} error:`, error.message);
+    }
+  }
+
+  throw locationNotFound();
+}
+
+module.exports = {
+  geocode,
+  registerProvider,
+  getProviderChain
+};
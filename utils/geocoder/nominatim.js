@@ -0,0 +1,49 @@
+// utils/geocoder/nominatim.js - Nominatim (OpenStreetMap) geocoding provider
+const { schedule } = require('../requestQueue');
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+
+/**
+ * Geocode an address using Nominatim API (OpenStreetMap's free geocoding service)
+ * @param {string} address - User-provided address or location
+ * @returns {Promise} - Resolves to {lat, lon, displayName, confidence} or null when nothing matches
+ */
+async function geocode(address) {
+  const encodedAddress = encodeURIComponent(address);
+  const nominatimUrl = `${NOMINATIM_URL}?format=json&q=${encodedAddress}&limit=1`;
+
+  const data = await schedule('nominatim', async () => {
+    const response = await fetch(nominatimUrl, {
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'HealthcareLocatorApp/1.0' // Important: Nominatim requires a user-agent
+      }
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Nominatim request failed with status ${response.status}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+
+    return response.json();
+  });
+
+  if (!data || data.length === 0) {
+    return null;
+  }
+
+  return {
+    lat: parseFloat(data[0].lat),
+    lon: parseFloat(data[0].lon),
+    displayName: data[0].display_name,
+    // Nominatim's importance (0-1) is the closest thing it offers to a match score
+    confidence: data[0].importance !== undefined ? parseFloat(data[0].importance) : 0.5
+  };
+}
+
+module.exports = {
+  name: 'nominatim',
+  geocode
+};
@@ -0,0 +1,276 @@
+// utils/geometry.js - Positions and outlines for OSM ways and relations
+//
+// Points are {lat, lon}. Outlines are GeoJSON geometries ([lon, lat] positions): Polygon or
+// MultiPolygon for areas such as hospital campuses, LineString for open ways.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = value => value * Math.PI / 180;
+
+const toPosition = point => [point.lon, point.lat];
+
+/**
+ * Resolve a way's node references
+ * @param {Object} way - Overpass way with a `nodes` list of IDs
+ * @param {Object} nodes - Overpass nodes by ID
+ * @returns {Array} - Points in way order; references to nodes missing from the response are skipped
+ */
+function wayPoints(way, nodes) {
+  return (way.nodes || [])
+    .map(id => nodes[id])
+    .filter(Boolean)
+    .map(node => ({ lat: node.lat, lon: node.lon }));
+}
+
+/**
+ * Whether a way is closed, i.e. outlines an area
+ * @param {Object} way - Overpass way
+ * @returns {boolean}
+ */
+function isClosedWay(way) {
+  const ids = way.nodes || [];
+  return ids.length >= 4 && ids[0] === ids[ids.length - 1];
+}
+
+/**
+ * Join way node lists that meet end to end into closed rings. Multipolygon members are often
+ * split into several ways; pieces that can't be closed (e.g. cut off by the response) are dropped.
+ * @param {Array} nodeLists - Arrays of node IDs
+ * @returns {Array} - Closed rings as arrays of node IDs
+ */
+function joinRings(nodeLists) {
+  const pending = nodeLists.filter(list => list.length >= 2).map(list => [...list]);
+  const rings = [];
+
+  while (pending.length > 0) {
+    let ring = pending.shift();
+
+    while (ring[0] !== ring[ring.length - 1]) {
+      const end = ring[ring.length - 1];
+      const index = pending.findIndex(list => list[0] === end || list[list.length - 1] === end);
+      if (index === -1) {
+        ring = null;
+        break;
+      }
+      const [next] = pending.splice(index, 1);
+      ring = ring.concat((next[0] === end ? next : next.reverse()).slice(1));
+    }
+
+    if (ring && ring.length >= 4) rings.push(ring);
+  }
+
+  return rings;
+}
+
+/**
+ * Ray-casting point-in-ring test
+ * @param {Object} point - {lat, lon}
+ * @param {Array} ring - Closed ring of points
+ * @returns {boolean}
+ */
+function pointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+        point.lon < (b.lon - a.lon) * (point.lat - a.lat) / (b.lat - a.lat) + a.lon) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Inside the outer ring and outside every hole
+const pointInPolygon = (point, [outer, ...holes]) =>
+  pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole));
+
+// Signed shoelace area in square degrees; only used for comparing and weighting rings
+const ringArea = ring => ring.slice(1).reduce((sum, point, i) =>
+  sum + ring[i].lon * point.lat - point.lon * ring[i].lat, 0) / 2;
+
+/**
+ * Area centroid of a closed ring, or the mean of its vertices for degenerate rings
+ * @param {Array} ring - Closed ring of points
+ * @returns {Object} - {lat, lon}
+ */
+function ringCentroid(ring) {
+  const area = ringArea(ring);
+  if (Math.abs(area) < 1e-12) {
+    const vertices = ring.slice(0, -1);
+    return {
+      lat: vertices.reduce((sum, point) => sum + point.lat, 0) / vertices.length,
+      lon: vertices.reduce((sum, point) => sum + point.lon, 0) / vertices.length
+    };
+  }
+
+  let lat = 0;
+  let lon = 0;
+  ring.slice(1).forEach((point, i) => {
+    const previous = ring[i];
+    const cross = previous.lon * point.lat - point.lon * previous.lat;
+    lon += (previous.lon + point.lon) * cross;
+    lat += (previous.lat + point.lat) * cross;
+  });
+  return { lat: lat / (6 * area), lon: lon / (6 * area) };
+}
+
+/**
+ * A point guaranteed to lie inside a polygon: its centroid when that is inside (convex campuses),
+ * otherwise the middle of the widest stretch of the polygon along the centroid's latitude
+ * @param {Array} polygon - [outerRing, ...holeRings]
+ * @returns {Object} - {lat, lon}
+ */
+function representativePoint(polygon) {
+  const centroid = ringCentroid(polygon[0]);
+  if (pointInPolygon(centroid, polygon)) return centroid;
+
+  const crossings = [];
+  polygon.forEach(ring => {
+    ring.slice(1).forEach((point, i) => {
+      const previous = ring[i];
+      if ((previous.lat > centroid.lat) !== (point.lat > centroid.lat)) {
+        crossings.push(previous.lon +
+          (centroid.lat - previous.lat) * (point.lon - previous.lon) / (point.lat - previous.lat));
+      }
+    });
+  });
+  crossings.sort((a, b) => a - b);
+
+  let best = null;
+  for (let i = 0; i + 1 < crossings.length; i += 2) {
+    if (!best || crossings[i + 1] - crossings[i] > best[1] - best[0]) {
+      best = [crossings[i], crossings[i + 1]];
+    }
+  }
+  return best ? { lat: centroid.lat, lon: (best[0] + best[1]) / 2 } : centroid;
+}
+
+// Mean of a set of points
+const meanPoint = points => ({
+  lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+  lon: points.reduce((sum, point) => sum + point.lon, 0) / points.length
+});
+
+// Multipolygon relations: outer rings become polygons, inner rings holes in the outer containing them
+const relationPolygons = (relation, ways, nodes) => {
+  const memberRings = role => joinRings((relation.members || [])
+    .filter(member => member.type === 'way' && ways[member.ref] &&
+      (role === 'inner' ? member.role === 'inner' : member.role !== 'inner'))
+    .map(member => ways[member.ref].nodes || []))
+    .map(ids => ids.map(id => nodes[id]).filter(Boolean).map(node => ({ lat: node.lat, lon: node.lon })))
+    .filter(ring => ring.length >= 4);
+
+  const polygons = memberRings('outer').map(outer => [outer]);
+  memberRings('inner').forEach(inner => {
+    const polygon = polygons.find(([outer]) => pointInRing(inner[0], outer));
+    if (polygon) polygon.push(inner);
+  });
+  return polygons;
+};
+
+/**
+ * Position and outline of an Overpass element. Closed ways are placed at a point inside their
+ * area, multipolygon relations at a point inside their largest part, and other relations (e.g.
+ * type=site) at the middle of their members.
+ * @param {Object} element - Overpass node, way or relation
+ * @param {Object} nodes - Overpass nodes by ID
+ * @param {Object} ways - Overpass ways by ID
+ * @returns {Object|null} - {center: {lat, lon}, outline: GeoJSON geometry or null}, or null when
+ *   the response doesn't include the element's geometry
+ */
+function elementGeometry(element, nodes, ways) {
+  if (element.type === 'node') {
+    return { center: { lat: element.lat, lon: element.lon }, outline: null };
+  }
+
+  if (element.type === 'way') {
+    const points = wayPoints(element, nodes);
+    if (points.length === 0) return null;
+
+    if (isClosedWay(element) && points.length >= 4) {
+      return {
+        center: representativePoint([points]),
+        outline: { type: 'Polygon', coordinates: [points.map(toPosition)] }
+      };
+    }
+    return {
+      center: meanPoint(points),
+      outline: points.length > 1 ? { type: 'LineString', coordinates: points.map(toPosition) } : null
+    };
+  }
+
+  if (element.type === 'relation') {
+    const polygons = relationPolygons(element, ways, nodes);
+    if (polygons.length > 0) {
+      const largest = polygons.reduce((best, polygon) =>
+        (Math.abs(ringArea(polygon[0])) > Math.abs(ringArea(best[0])) ? polygon : best));
+      return {
+        center: representativePoint(largest),
+        outline: polygons.length === 1
+          ? { type: 'Polygon', coordinates: largest.map(ring => ring.map(toPosition)) }
+          : { type: 'MultiPolygon', coordinates: polygons.map(polygon => polygon.map(ring => ring.map(toPosition))) }
+      };
+    }
+
+    const points = (element.members || []).flatMap(member => {
+      if (member.type === 'node' && nodes[member.ref]) return [nodes[member.ref]];
+      if (member.type === 'way' && ways[member.ref]) return wayPoints(ways[member.ref], nodes);
+      return [];
+    });
+    return points.length > 0 ? { center: meanPoint(points), outline: null } : null;
+  }
+
+  return null;
+}
+
+// Distance in km from the origin to segment AB, with A and B in a local flat projection (km)
+const segmentDistance = (a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+  return Math.hypot(a.x + t * dx, a.y + t * dy);
+};
+
+/**
+ * Distance from a point to an outline: zero inside an area, otherwise to its nearest edge.
+ * Uses a flat projection around the point, which is accurate at campus and city scales.
+ * @param {Object} point - {lat, lon}
+ * @param {Object} outline - GeoJSON Polygon, MultiPolygon or LineString
+ * @returns {number} - Distance in kilometers
+ */
+function distanceToOutline(point, outline) {
+  const polygons = outline.type === 'Polygon' ? [outline.coordinates]
+    : outline.type === 'MultiPolygon' ? outline.coordinates
+      : [];
+  const lines = outline.type === 'LineString' ? [outline.coordinates]
+    : polygons.flat();
+
+  const toPoint = ([lon, lat]) => ({ lat, lon });
+  if (polygons.some(polygon => pointInPolygon(point, polygon.map(ring => ring.map(toPoint))))) {
+    return 0;
+  }
+
+  const scale = toRad(1) * EARTH_RADIUS_KM;
+  const project = ([lon, lat]) => ({
+    x: (lon - point.lon) * scale * Math.cos(toRad(point.lat)),
+    y: (lat - point.lat) * scale
+  });
+
+  let nearest = Infinity;
+  lines.forEach(line => {
+    const projected = line.map(project);
+    projected.slice(1).forEach((position, i) => {
+      nearest = Math.min(nearest, segmentDistance(projected[i], position));
+    });
+  });
+  return nearest;
+}
+
+module.exports = {
+  elementGeometry,
+  distanceToOutline,
+  representativePoint,
+  joinRings
+};
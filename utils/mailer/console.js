@@ -0,0 +1,18 @@
+// utils/mailer/console.js - Print emails to the server log instead of sending them
+
+module.exports = {
+  name: 'console',
+
+  async send(message) {
+    console.log([
+      '----- Outgoing email -----',
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '--------------------------'
+    ].join('\n'));
+    return { transport: 'console' };
+  }
+};
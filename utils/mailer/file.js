@@ -0,0 +1,56 @@
+// utils/mailer/file.js - Write each email to MAIL_DIR as an .eml file instead of sending it
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = path.join(os.tmpdir(), 'careconnect-mail');
+
+// Build a minimal RFC 5322 message; multipart when there is an HTML body
+const toEml = message => {
+  const headers = [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    ...Object.entries(message.headers || {}).map(([name, value]) => `${name}: ${value}`),
+    'MIME-Version: 1.0'
+  ];
+
+  if (!message.html) {
+    return [...headers, 'Content-Type: text/plain; charset=utf-8', '', message.text, ''].join('\r\n');
+  }
+
+  const boundary = `careconnect-${crypto.randomBytes(8).toString('hex')}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    message.text,
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    message.html,
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+};
+
+module.exports = {
+  name: 'file',
+
+  async send(message) {
+    const dir = process.env.MAIL_DIR || DEFAULT_DIR;
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const slug = message.to.replace(/[^a-z0-9]+/gi, '_').slice(0, 40);
+    const file = path.join(dir, `${Date.now()}-${slug}-${crypto.randomBytes(3).toString('hex')}.eml`);
+    await fs.promises.writeFile(file, toEml(message));
+
+    console.log(`Email to ${message.to} written to ${file}`);
+    return { transport: 'file', file };
+  }
+};
@@ -0,0 +1,75 @@
+// utils/mailer/index.js - Pluggable mail transport
+//
+// A transport is an object with a `name` and an async `send(message)`, where message is
+// {from, to, subject, text, html, headers}. The transport is chosen by MAIL_TRANSPORT (default "file",
+// which writes each email to disk instead of sending it).
+const consoleTransport = require('./console');
+const fileTransport = require('./file');
+
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport
+};
+
+const DEFAULT_TRANSPORT = 'file';
+const DEFAULT_FROM = 'CareConnect <no-reply@careconnect.local>';
+
+/**
+ * Register an additional mail transport (SMTP, an email API, ...)
+ * @param {Object} transport - {name, send}
+ */
+function registerTransport(transport) {
+  if (!transport || !transport.name || typeof transport.send !== 'function') {
+    throw new Error('Mail transports need a name and a send(message) function');
+  }
+  transports[transport.name] = transport;
+}
+
+/**
+ * Resolve the configured transport
+ * @returns {Object} - Transport object
+ */
+function getTransport() {
+  const name = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT;
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transports[name];
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - {to, subject, text, html?, from?, headers?} where headers are extra
+ *   header fields such as List-Unsubscribe
+ * @returns {Promise} - Resolves to whatever the transport returns
+ */
+async function sendMail({ to, subject, text, html, from, headers }) {
+  if (!to || !subject || !text) {
+    throw new Error('Emails need a recipient, a subject and a text body');
+  }
+
+  return getTransport().send({
+    from: from || process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html,
+    headers: headers || {}
+  });
+}
+
+/**
+ * Base URL for links in emails. APP_URL wins so a forged Host header can't redirect them.
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function appUrl(req) {
+  return process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+module.exports = {
+  sendMail,
+  appUrl,
+  registerTransport,
+  getTransport
+};
@@ -0,0 +1,184 @@
+// utils/mapClusters.js - Viewport queries for the results map, clustered on a grid at low zooms
+const Facility = require('../models/Facility');
+
+// From this zoom on, every facility is returned as its own point
+const CLUSTER_MAX_ZOOM = 13;
+const MAX_ZOOM = 22;
+
+// Grid cells per 256px map tile, i.e. clusters roughly 64px apart on screen
+const CELLS_PER_TILE = 4;
+
+// Individual points per response; a viewport with more is reported as truncated
+const MAX_POINTS = 1000;
+
+const COST_LEVELS = [0, 1, 2, 3];
+
+const badRequest = message => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Parse a viewport bounding box
+ * @param {string} value - "west,south,east,north" in degrees, the GeoJSON bbox order
+ * @returns {Array} - [west, south, east, north]
+ */
+function parseBbox(value) {
+  const bbox = String(value || '').split(',').map(part => parseFloat(part));
+  const [west, south, east, north] = bbox;
+
+  if (bbox.length !== 4 || bbox.some(Number.isNaN)) {
+    throw badRequest('bbox must be west,south,east,north in degrees');
+  }
+  if (west < -180 || east > 180 || south < -90 || north > 90 || west >= east || south >= north) {
+    throw badRequest('bbox must lie within -180..180 and -90..90 with west < east and south < north');
+  }
+  return bbox;
+}
+
+/**
+ * Parse a map zoom level
+ * @param {string} value - Zoom level as sent by Leaflet
+ * @returns {number} - Integer zoom, 0..22
+ */
+function parseZoom(value) {
+  const zoom = Math.floor(Number(value));
+  if (value === undefined || value === '' || Number.isNaN(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+    throw badRequest(`zoom must be a number between 0 and ${MAX_ZOOM}`);
+  }
+  return zoom;
+}
+
+// Points lie inside the map's flat rectangle; a $geoWithin polygon would follow great circles
+// and can't describe viewports spanning half the globe
+const bboxMatch = ([west, south, east, north]) => ({
+  'location.coordinates.0': { $gte: west, $lte: east },
+  'location.coordinates.1': { $gte: south, $lte: north }
+});
+
+const emptyCostLevels = () => COST_LEVELS.reduce((levels, level) => ({ ...levels, [level]: 0 }), {});
+
+const pointFeature = facility => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: facility.location.coordinates },
+  properties: {
+    cluster: false,
+    id: facility._id,
+    name: facility.name,
+    facilityType: facility.facilityType,
+    costLevel: facility.costLevel,
+    providerManaged: Boolean(facility.provider)
+  }
+});
+
+// Cluster features sit at the mean position of their facilities
+const clusterFeature = cell => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [cell.lon / cell.count, cell.lat / cell.count] },
+  properties: {
+    cluster: true,
+    count: cell.count,
+    costLevels: cell.costLevels.reduce((levels, { level, count }) => {
+      levels[level] = (levels[level] || 0) + count;
+      return levels;
+    }, emptyCostLevels()),
+    // Zooming the map to this box splits the cluster
+    bbox: [cell.west, cell.south, cell.east, cell.north]
+  }
+});
+
+/**
+ * Facilities inside a viewport as a GeoJSON FeatureCollection. Below CLUSTER_MAX_ZOOM, facilities
+ * in the same grid cell are merged into one cluster feature with a count and a cost-level
+ * breakdown; cells holding a single facility stay plain points.
+ * @param {Object} options - {bbox: [west, south, east, north], zoom, filters}; filters is an
+ *   extra Mongo query, e.g. {facilityType: 'clinic'}
+ * @returns {Promise} - Resolves to a FeatureCollection with total, clustered and truncated members
+ */
+async function getMapFeatures({ bbox, zoom, filters = {} }) {
+  const match = { ...filters, active: true, ...bboxMatch(bbox) };
+
+  if (zoom > CLUSTER_MAX_ZOOM) {
+    const facilities = await Facility.find(match)
+      .select('name facilityType costLevel location provider')
+      .limit(MAX_POINTS + 1)
+      .lean();
+    const truncated = facilities.length > MAX_POINTS;
+
+    return {
+      type: 'FeatureCollection',
+      bbox,
+      zoom,
+      clustered: false,
+      total: truncated ? null : facilities.length,
+      truncated,
+      features: facilities.slice(0, MAX_POINTS).map(pointFeature)
+    };
+  }
+
+  const cellSize = 360 / (2 ** zoom) / CELLS_PER_TILE;
+  const lon = { $arrayElemAt: ['$location.coordinates', 0] };
+  const lat = { $arrayElemAt: ['$location.coordinates', 1] };
+
+  const cells = await Facility.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: [{ $add: [lon, 180] }, cellSize] } },
+          y: { $floor: { $divide: [{ $add: [lat, 90] }, cellSize] } },
+          costLevel: '$costLevel'
+        },
+        count: { $sum: 1 },
+        lon: { $sum: lon },
+        lat: { $sum: lat },
+        west: { $min: lon },
+        south: { $min: lat },
+        east: { $max: lon },
+        north: { $max: lat },
+        facility: { $first: '$_id' }
+      }
+    },
+    {
+      $group: {
+        _id: { x: '$_id.x', y: '$_id.y' },
+        count: { $sum: '$count' },
+        lon: { $sum: '$lon' },
+        lat: { $sum: '$lat' },
+        west: { $min: '$west' },
+        south: { $min: '$south' },
+        east: { $max: '$east' },
+        north: { $max: '$north' },
+        costLevels: { $push: { level: '$_id.costLevel', count: '$count' } },
+        facility: { $first: '$facility' }
+      }
+    }
+  ]);
+
+  // Lone facilities are sent as points so the map can open their details directly
+  const singles = cells.filter(cell => cell.count === 1);
+  const facilities = await Facility.find({ _id: { $in: singles.map(cell => cell.facility) } })
+    .select('name facilityType costLevel location provider')
+    .lean();
+
+  return {
+    type: 'FeatureCollection',
+    bbox,
+    zoom,
+    clustered: true,
+    total: cells.reduce((sum, cell) => sum + cell.count, 0),
+    truncated: false,
+    features: [
+      ...cells.filter(cell => cell.count > 1).map(clusterFeature),
+      ...facilities.map(pointFeature)
+    ]
+  };
+}
+
+module.exports = {
+  CLUSTER_MAX_ZOOM,
+  parseBbox,
+  parseZoom,
+  getMapFeatures
+};
@@ -0,0 +1,361 @@
+// utils/openingHours.js - Parse opening hours into a weekly schedule and answer "is it open?"
+//
+// Two inputs are understood:
+//   - OSM opening_hours strings: "Mo-Fr 09:00-17:00; Sa 10:00-14:00; PH off", "24/7", "Mo-Su 08:00-12:00,16:00-20:00"
+//   - Facility.hours per-day text: { monday: '9:00 AM - 5:00 PM', sunday: 'Closed' }
+//
+// A schedule is { days: { monday: [{ start, end }], ... }, publicHolidays, alwaysOpen } where start/end are
+// minutes after local midnight. `end` may exceed 1440 for intervals running past midnight.
+// `publicHolidays` is null when the source says nothing about holidays.
+const holidays = require('../data/publicHolidays.json');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const OSM_DAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+const MINUTES_PER_DAY = 24 * 60;
+
+const DAY_TOKEN = '(?:Mo|Tu|We|Th|Fr|Sa|Su|PH)';
+// Ranges only run between weekdays; PH stands on its own
+const WEEKDAY_TOKEN = '(?:Mo|Tu|We|Th|Fr|Sa|Su)';
+const DAY_ITEM = `(?:${WEEKDAY_TOKEN}(?:-${WEEKDAY_TOKEN})?|PH)`;
+const DAY_SELECTOR = new RegExp(`^(${DAY_ITEM}(?:\\s*,\\s*${DAY_ITEM})*)\\s*(.*)$`);
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+const emptySchedule = () => ({
+  days: DAYS.reduce((days, day) => ({ ...days, [day]: [] }), {}),
+  publicHolidays: null,
+  alwaysOpen: false
+});
+
+const toMinutes = (hours, minutes) => parseInt(hours, 10) * 60 + parseInt(minutes || '0', 10);
+
+const formatMinutes = minutes => {
+  const value = minutes % MINUTES_PER_DAY === 0 && minutes > 0 ? MINUTES_PER_DAY : minutes % MINUTES_PER_DAY;
+  return `${String(Math.floor(value / 60)).padStart(2, '0')}:${String(value % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Parse "09:00-17:00,18:00-20:00" style OSM time selectors
+ * @param {string} text - Time selector
+ * @returns {Array|null} - Intervals, [] for "off"/"closed", null if not understood
+ */
+function parseOsmTimes(text) {
+  const value = text.trim().replace(/"[^"]*"/g, '').trim();
+  if (value === '' || value === 'open') return [{ start: 0, end: MINUTES_PER_DAY }];
+  if (value === 'off' || value === 'closed') return [];
+
+  const intervals = [];
+  for (const range of value.split(',')) {
+    const match = range.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\+?$/);
+    if (!match) return null;
+    const start = toMinutes(match[1], match[2]);
+    let end = toMinutes(match[3], match[4]);
+    if (end <= start) end += MINUTES_PER_DAY; // e.g. 22:00-02:00
+    intervals.push({ start, end });
+  }
+  return intervals;
+}
+
+/**
+ * Expand "Mo-Fr,PH" into weekday names plus a public holiday marker
+ * @param {string} selector - OSM day selector
+ * @returns {Object} - {days: ['monday', ...], publicHolidays: boolean}
+ */
+function expandDaySelector(selector) {
+  const result = { days: [], publicHolidays: false };
+
+  selector.split(',').forEach(part => {
+    const [from, to] = part.trim().split('-');
+    if (from === 'PH') {
+      result.publicHolidays = true;
+      return;
+    }
+    const start = OSM_DAYS.indexOf(from);
+    const end = to ? OSM_DAYS.indexOf(to) : start;
+    // An endpoint that isn't a weekday would never end the loop
+    if (start === -1 || end === -1) return;
+    for (let i = start; ; i = (i + 1) % 7) {
+      result.days.push(DAYS[i]);
+      if (i === end) break;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Parse an OSM opening_hours value
+ * @param {string} openingHours - OSM opening_hours tag value
+ * @returns {Object|null} - Schedule, or null if empty or not understood
+ */
+function parseOsmOpeningHours(openingHours) {
+  if (!openingHours || typeof openingHours !== 'string') return null;
+  const value = openingHours.trim();
+  if (!value || value === 'Not specified') return null;
+
+  const schedule = emptySchedule();
+
+  if (value === '24/7') {
+    DAYS.forEach(day => { schedule.days[day] = [{ start: 0, end: MINUTES_PER_DAY }]; });
+    schedule.alwaysOpen = true;
+    return schedule;
+  }
+
+  // "||" fallback rules are treated like normal rules; ", Sa 10:00-12:00" adds to the previous rule
+  const rules = value
+    .split(/\s*(?:;|\|\|)\s*/)
+    .flatMap(rule => rule.split(new RegExp(`,\\s+(?=${DAY_TOKEN}\\b)`)).map((part, index) => ({ part, additional: index > 0 })))
+    .filter(rule => rule.part);
+
+  let understood = 0;
+  rules.forEach(({ part, additional }) => {
+    const dayMatch = part.match(DAY_SELECTOR);
+    const selector = dayMatch ? expandDaySelector(dayMatch[1]) : { days: DAYS, publicHolidays: false };
+    const intervals = parseOsmTimes(dayMatch ? dayMatch[2] : part);
+
+    // Month, week and date selectors are not supported; skip the rule rather than guess
+    if (!intervals) return;
+    understood++;
+
+    selector.days.forEach(day => {
+      // A later rule replaces earlier ones for the same day unless it is an additional (",") rule
+      schedule.days[day] = additional ? schedule.days[day].concat(intervals) : intervals;
+    });
+    if (selector.publicHolidays) {
+      schedule.publicHolidays = additional && schedule.publicHolidays ? schedule.publicHolidays.concat(intervals) : intervals;
+    }
+  });
+
+  return understood > 0 ? schedule : null;
+}
+
+/**
+ * Parse per-day free text such as "9:00 AM - 5:00 PM", "09:00-13:00, 14:00-18:00", "Closed" or "24 hours"
+ * @param {string} text - Hours for one day
+ * @returns {Array|null} - Intervals, [] when closed, null if not understood
+ */
+function parseDayText(text) {
+  if (!text) return null;
+  const value = text.trim().toLowerCase();
+  if (/^(closed|off|holiday)$/.test(value)) return [];
+  if (/24\s*(hours|hrs|h)|24\/7|open all day/.test(value)) return [{ start: 0, end: MINUTES_PER_DAY }];
+
+  const time = '(\\d{1,2})(?:[:.](\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)?';
+  const rangePattern = new RegExp(`${time}\\s*(?:-|–|to)\\s*${time}`, 'g');
+  const intervals = [];
+  let match;
+
+  const toDayMinutes = (hours, minutes, meridiem) => {
+    let h = parseInt(hours, 10) % (meridiem ? 12 : 24);
+    if (meridiem && meridiem.startsWith('p')) h += 12;
+    return toMinutes(h, minutes);
+  };
+
+  while ((match = rangePattern.exec(value)) !== null) {
+    const start = toDayMinutes(match[1], match[2], match[3]);
+    let end = toDayMinutes(match[4], match[5], match[6]);
+    if (end <= start) end += MINUTES_PER_DAY;
+    intervals.push({ start, end });
+  }
+
+  return intervals.length > 0 ? intervals : null;
+}
+
+/**
+ * Parse Facility.hours per-day fields
+ * @param {Object} hours - {monday: '...', ...}
+ * @returns {Object|null} - Schedule, or null when no day could be read
+ */
+function parseWeekdayHours(hours) {
+  if (!hours || typeof hours !== 'object') return null;
+
+  const schedule = emptySchedule();
+  let understood = 0;
+
+  DAYS.forEach(day => {
+    const intervals = parseDayText(hours[day]);
+    if (intervals) {
+      schedule.days[day] = intervals;
+      understood++;
+    }
+  });
+
+  return understood > 0 ? schedule : null;
+}
+
+/**
+ * Build a schedule for a search result or facility, preferring curated per-day hours over OSM tags
+ * @param {Object} facility - Object with `hours`, `opening_hours` and/or `tags.opening_hours`
+ * @returns {Object|null} - Schedule or null when hours are unknown
+ */
+function getSchedule(facility) {
+  return parseWeekdayHours(facility.hours) ||
+    parseOsmOpeningHours((facility.tags && facility.tags.opening_hours) || facility.opening_hours);
+}
+
+/**
+ * Best-effort timezone for a facility: its own `timezone` field, else a guess from its coordinates
+ * @param {Object} facility - Object with optional timezone, lat and lon
+ * @returns {string} - IANA timezone name
+ */
+function getTimezone(facility) {
+  if (facility.timezone) return facility.timezone;
+
+  const { lat, lon } = facility;
+  if (lat === undefined || lon === undefined) return DEFAULT_TIMEZONE;
+
+  // India spans a single timezone
+  if (lat >= 6 && lat <= 37 && lon >= 68 && lon <= 98) return 'Asia/Kolkata';
+
+  // Contiguous United States, split roughly along timezone boundaries
+  if (lat >= 24 && lat <= 50 && lon >= -125 && lon <= -66) {
+    if (lon > -87.5) return 'America/New_York';
+    if (lon > -101) return 'America/Chicago';
+    if (lon > -114) return 'America/Denver';
+    return 'America/Los_Angeles';
+  }
+
+  return DEFAULT_TIMEZONE;
+}
+
+/**
+ * Local weekday, minute of day and date of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - {dayIndex (0 = Monday), minutes, monthDay ('MM-DD')}
+ */
+function getLocalTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    dayIndex: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].indexOf(parts.weekday),
+    minutes: toMinutes(parts.hour, parts.minute),
+    monthDay: `${parts.month}-${parts.day}`
+  };
+}
+
+const holidayCountry = timezone => (timezone === 'Asia/Kolkata' ? 'IN' : timezone.startsWith('America/') ? 'US' : null);
+
+const isPublicHoliday = (monthDay, timezone) => {
+  const country = holidayCountry(timezone);
+  return Boolean(country && holidays[country] && holidays[country].includes(monthDay));
+};
+
+// Intervals in effect on a local day, honouring public holiday rules
+const intervalsForDay = (schedule, dayIndex, monthDay, timezone) => {
+  if (schedule.publicHolidays && isPublicHoliday(monthDay, timezone)) {
+    return schedule.publicHolidays;
+  }
+  return schedule.days[DAYS[dayIndex]];
+};
+
+// Shift an 'MM-DD' string by whole days (year-agnostic, good enough for fixed-date holidays)
+const shiftMonthDay = (monthDay, offset) => {
+  const date = new Date(Date.UTC(2001, parseInt(monthDay.slice(0, 2), 10) - 1, parseInt(monthDay.slice(3), 10) + offset));
+  return `${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Whether a schedule is open at an instant
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Instant to check
+ * @param {string} timezone - Facility timezone
+ * @returns {boolean}
+ */
+function isOpenAt(schedule, date, timezone) {
+  if (schedule.alwaysOpen) return true;
+  const local = getLocalTime(date, timezone);
+
+  const today = intervalsForDay(schedule, local.dayIndex, local.monthDay, timezone);
+  if (today.some(interval => local.minutes >= interval.start && local.minutes < interval.end)) {
+    return true;
+  }
+
+  // Intervals from yesterday that run past midnight
+  const yesterday = intervalsForDay(schedule, (local.dayIndex + 6) % 7, shiftMonthDay(local.monthDay, -1), timezone);
+  return yesterday.some(interval => local.minutes + MINUTES_PER_DAY < interval.end);
+}
+
+/**
+ * Next instant at which a closed facility opens (or `date` itself when already open)
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Starting instant
+ * @param {string} timezone - Facility timezone
+ * @returns {Date|null} - null when the schedule never opens
+ */
+function getNextOpenAt(schedule, date, timezone) {
+  if (isOpenAt(schedule, date, timezone)) return date;
+  const local = getLocalTime(date, timezone);
+
+  // Look up to one week (plus a day for holidays) ahead
+  for (let offset = 0; offset <= 7; offset++) {
+    const dayIndex = (local.dayIndex + offset) % 7;
+    const intervals = intervalsForDay(schedule, dayIndex, shiftMonthDay(local.monthDay, offset), timezone);
+    const starts = intervals
+      .map(interval => interval.start + offset * MINUTES_PER_DAY)
+      .filter(start => start > local.minutes)
+      .sort((a, b) => a - b);
+
+    if (starts.length > 0) {
+      const startOfMinute = date.getTime() - (date.getTime() % 60000);
+      return new Date(startOfMinute + (starts[0] - local.minutes) * 60000);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Render a schedule as display strings per weekday
+ * @param {Object} schedule - Parsed schedule
+ * @returns {Object} - {monday: ['09:00-17:00'], ..., publicHolidays: [...] | null, alwaysOpen}
+ */
+function formatSchedule(schedule) {
+  const format = intervals => intervals.map(interval => `${formatMinutes(interval.start)}-${formatMinutes(interval.end)}`);
+  const display = { alwaysOpen: schedule.alwaysOpen };
+  DAYS.forEach(day => { display[day] = format(schedule.days[day]); });
+  display.publicHolidays = schedule.publicHolidays ? format(schedule.publicHolidays) : null;
+  return display;
+}
+
+/**
+ * Compute open-status fields for a search result or details response
+ * @param {Object} facility - Facility-like object
+ * @param {Date} [date] - Instant to evaluate, defaults to now
+ * @returns {Object} - {isOpen, nextOpenAt, schedule, timezone}; isOpen is null when hours are unknown
+ */
+function getOpenStatus(facility, date = new Date()) {
+  const schedule = getSchedule(facility);
+  const timezone = getTimezone(facility);
+
+  if (!schedule) {
+    return { isOpen: null, nextOpenAt: null, schedule: null, timezone };
+  }
+
+  const isOpen = isOpenAt(schedule, date, timezone);
+  return {
+    isOpen,
+    nextOpenAt: isOpen ? null : getNextOpenAt(schedule, date, timezone),
+    schedule: formatSchedule(schedule),
+    timezone
+  };
+}
+
+module.exports = {
+  parseOsmOpeningHours,
+  parseWeekdayHours,
+  getSchedule,
+  getTimezone,
+  isOpenAt,
+  getNextOpenAt,
+  formatSchedule,
+  getOpenStatus
+};
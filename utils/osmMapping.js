@@ -0,0 +1,159 @@
+// utils/osmMapping.js - Map OpenStreetMap tags onto the Facility schema
+const { toOsmId } = require('../map-integration');
+const { careTypeForTags } = require('./careTypes');
+
+const OSM_DAYS = {
+  Mo: 'monday',
+  Tu: 'tuesday',
+  We: 'wednesday',
+  Th: 'thursday',
+  Fr: 'friday',
+  Sa: 'saturday',
+  Su: 'sunday'
+};
+const DAY_KEYS = Object.keys(OSM_DAYS);
+
+/**
+ * Interpret a yes/no style OSM tag value
+ * @param {string} value - Tag value
+ * @returns {boolean|undefined} - undefined when the tag is absent or unknown
+ */
+function tagToBoolean(value) {
+  if (value === undefined) return undefined;
+  if (['yes', 'limited', 'designated', 'only'].includes(value)) return true;
+  if (['no', 'none'].includes(value)) return false;
+  return undefined;
+}
+
+/**
+ * Determine the Facility.facilityType enum value from OSM tags
+ * @param {Object} tags - OSM element tags
+ * @returns {string} - Enum value, 'clinic' when no care category matches
+ */
+function mapFacilityType(tags) {
+  return careTypeForTags(tags) || 'clinic';
+}
+
+/**
+ * Expand an OSM day selector such as "Mo-Fr" or "Sa,Su" into weekday keys
+ * @param {string} selector - OSM day selector
+ * @returns {Array} - Day keys ('Mo', 'Tu', ...)
+ */
+function expandDays(selector) {
+  const days = [];
+  selector.split(',').forEach(part => {
+    const [from, to] = part.trim().split('-');
+    const start = DAY_KEYS.indexOf(from);
+    const end = to ? DAY_KEYS.indexOf(to) : start;
+    if (start === -1 || end === -1) return;
+    for (let i = start; ; i = (i + 1) % 7) {
+      days.push(DAY_KEYS[i]);
+      if (i === end) break;
+    }
+  });
+  return days;
+}
+
+/**
+ * Convert a simple OSM opening_hours value into Facility.hours weekday strings
+ * @param {string} openingHours - e.g. "Mo-Fr 09:00-17:00; Sa 10:00-14:00"
+ * @returns {Object|undefined} - {monday: '09:00-17:00', ...} or undefined if unrecognised
+ */
+function mapOpeningHours(openingHours) {
+  if (!openingHours) return undefined;
+
+  if (openingHours.trim() === '24/7') {
+    const hours = {};
+    DAY_KEYS.forEach(day => { hours[OSM_DAYS[day]] = '00:00-24:00'; });
+    return hours;
+  }
+
+  const hours = {};
+  const rules = openingHours.split(';').map(rule => rule.trim()).filter(Boolean);
+
+  for (const rule of rules) {
+    const match = rule.match(/^((?:Mo|Tu|We|Th|Fr|Sa|Su)(?:[-,](?:Mo|Tu|We|Th|Fr|Sa|Su))*)\s+(.+)$/);
+    if (!match) return undefined;
+
+    const value = match[2].trim() === 'off' ? 'Closed' : match[2].trim();
+    expandDays(match[1]).forEach(day => { hours[OSM_DAYS[day]] = value; });
+  }
+
+  return Object.keys(hours).length > 0 ? hours : undefined;
+}
+
+/**
+ * Map a processed OSM facility (see processOverpassResults) onto Facility fields.
+ * Only values the tags actually state go in `fields`, so curated edits to other fields survive
+ * re-imports; the generated name and fallback type are in `defaults`, for new facilities only.
+ * @param {Object} osmFacility - {id, type, lat, lon, name, tags}
+ * @returns {Object} - {fields, defaults}: dotted-path values for $set and $setOnInsert
+ */
+function mapOsmFacility(osmFacility) {
+  const tags = osmFacility.tags || {};
+  const careType = careTypeForTags(tags);
+  const defaults = {};
+  const fields = {
+    osmId: toOsmId(osmFacility.type, osmFacility.id),
+    location: {
+      type: 'Point',
+      coordinates: [osmFacility.lon, osmFacility.lat]
+    },
+    tags
+  };
+
+  if (tags.name) {
+    fields.name = osmFacility.name;
+  } else {
+    defaults.name = osmFacility.name;
+  }
+
+  if (careType) {
+    fields.facilityType = careType;
+  } else {
+    defaults.facilityType = mapFacilityType(tags);
+  }
+
+  const optional = {
+    'address.street': [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ') || undefined,
+    'address.city': tags['addr:city'],
+    'address.state': tags['addr:state'],
+    'address.zipCode': tags['addr:postcode'],
+    'contact.phone': tags.phone || tags['contact:phone'],
+    'contact.email': tags.email || tags['contact:email'],
+    'contact.website': tags.website || tags['contact:website'],
+    'paymentOptions.freeCare': tagToBoolean(tags.fee) === undefined ? undefined : !tagToBoolean(tags.fee),
+    'paymentOptions.slidingScale': tagToBoolean(tags['payment:sliding_scale']),
+    'paymentOptions.acceptsInsurance': tagToBoolean(tags['payment:insurance'] || tags.health_insurance),
+    'paymentOptions.acceptsMedicaid': tagToBoolean(tags['healthcare:insurance:medicaid']),
+    'paymentOptions.acceptsMedicare': tagToBoolean(tags['healthcare:insurance:medicare']),
+    'accessibility.wheelchairAccessible': tagToBoolean(tags.wheelchair)
+  };
+
+  const hours = mapOpeningHours(tags.opening_hours);
+  if (hours) {
+    Object.keys(hours).forEach(day => { optional[`hours.${day}`] = hours[day]; });
+  }
+
+  if (tags['healthcare:speciality']) {
+    optional.services = tags['healthcare:speciality']
+      .split(';')
+      .map(speciality => speciality.trim())
+      .filter(Boolean)
+      .map(speciality => speciality.charAt(0).toUpperCase() + speciality.slice(1).replace(/_/g, ' '));
+  }
+
+  Object.keys(optional).forEach(key => {
+    if (optional[key] !== undefined && optional[key] !== '') {
+      fields[key] = optional[key];
+    }
+  });
+
+  return { fields, defaults };
+}
+
+module.exports = {
+  mapOsmFacility,
+  mapFacilityType,
+  mapOpeningHours
+};
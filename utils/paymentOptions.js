@@ -0,0 +1,90 @@
+// utils/paymentOptions.js - Payment option names and how search results are matched against them
+
+// Payment option values sent by the search form, mapped to Facility.paymentOptions keys
+const PAYMENT_OPTION_ALIASES = {
+  'sliding scale': 'slidingScale',
+  slidingscale: 'slidingScale',
+  free: 'freeCare',
+  'free care': 'freeCare',
+  freecare: 'freeCare',
+  insurance: 'acceptsInsurance',
+  acceptsinsurance: 'acceptsInsurance',
+  medicaid: 'acceptsMedicaid',
+  acceptsmedicaid: 'acceptsMedicaid',
+  medicare: 'acceptsMedicare',
+  acceptsmedicare: 'acceptsMedicare',
+  'financial assistance': 'financialAssistance',
+  financialassistance: 'financialAssistance',
+  'charity care': 'charityCare',
+  charitycare: 'charityCare'
+};
+
+// How each schema key reads in explanations shown to users
+const PAYMENT_OPTION_LABELS = {
+  slidingScale: 'sliding scale fees',
+  freeCare: 'free care',
+  acceptsInsurance: 'insurance',
+  acceptsMedicaid: 'Medicaid',
+  acceptsMedicare: 'Medicare',
+  financialAssistance: 'financial assistance',
+  charityCare: 'charity care'
+};
+
+// How each payment option can be recognised in raw OSM tags
+const OSM_PAYMENT_MATCHERS = {
+  slidingScale: tags => tags['payment:sliding_scale'] === 'yes',
+  freeCare: tags => tags.fee === 'no' || tags.fee === 'none',
+  acceptsInsurance: tags => tags.health_insurance === 'yes' || tags['payment:insurance'] === 'yes',
+  acceptsMedicaid: tags => tags['healthcare:insurance:medicaid'] === 'yes',
+  acceptsMedicare: tags => tags['healthcare:insurance:medicare'] === 'yes'
+};
+
+/**
+ * Normalize payment option names from the UI or API into Facility.paymentOptions keys
+ * @param {Array|string} paymentOptions - Values such as 'Sliding Scale' or 'freeCare'; a form
+ *   posting a single value sends it as a string
+ * @returns {Array} - Unique schema keys
+ */
+function normalizePaymentOptions(paymentOptions = []) {
+  const keys = [].concat(paymentOptions)
+    .map(option => PAYMENT_OPTION_ALIASES[String(option).toLowerCase()])
+    .filter(Boolean);
+  return [...new Set(keys)];
+}
+
+/**
+ * Payment options a search result offers, as Facility.paymentOptions keys.
+ * Curated and merged results use their curated flags; OSM-only results are read from tags.
+ * @param {Object} facility - Search result
+ * @returns {Array} - Sorted schema keys
+ */
+function getPaymentOptionKeys(facility) {
+  if (facility.source !== 'osm' && facility.paymentOptions) {
+    return Object.keys(facility.paymentOptions)
+      .filter(key => facility.paymentOptions[key] === true)
+      .sort();
+  }
+  const tags = facility.tags || {};
+  return Object.keys(OSM_PAYMENT_MATCHERS)
+    .filter(key => OSM_PAYMENT_MATCHERS[key](tags))
+    .sort();
+}
+
+/**
+ * Check whether an OSM result offers any of the requested payment options
+ * @param {Object} facility - Processed OSM facility
+ * @param {Array} paymentOptions - Schema payment keys
+ * @returns {boolean}
+ */
+function osmMatchesPaymentOptions(facility, paymentOptions) {
+  if (paymentOptions.length === 0) return true;
+  const tags = facility.tags || {};
+  return paymentOptions.some(key => OSM_PAYMENT_MATCHERS[key] && OSM_PAYMENT_MATCHERS[key](tags));
+}
+
+module.exports = {
+  PAYMENT_OPTION_LABELS,
+  normalizePaymentOptions,
+  getPaymentOptionKeys,
+  osmMatchesPaymentOptions
+};
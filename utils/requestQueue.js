@@ -0,0 +1,74 @@
+// utils/requestQueue.js - Per-upstream request queues enforcing polite rate limits
+//
+// Every call to an upstream (Nominatim, Overpass) goes through its queue, so requests are sent
+// one at a time with at least `minIntervalMs` between them, across the whole process.
+// A 429 or 504 response pauses the upstream and retries with exponential backoff.
+
+const RETRYABLE_STATUSES = [429, 504];
+
+const UPSTREAMS = {
+  // Nominatim usage policy: absolute maximum of 1 request per second
+  nominatim: { minIntervalMs: 1000, maxRetries: 3, baseBackoffMs: 2000 },
+  overpass: { minIntervalMs: 1000, maxRetries: 3, baseBackoffMs: 5000 }
+};
+
+const queues = {};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const getQueue = upstream => {
+  if (!queues[upstream]) {
+    queues[upstream] = {
+      config: UPSTREAMS[upstream] || { minIntervalMs: 0, maxRetries: 0, baseBackoffMs: 1000 },
+      tail: Promise.resolve(),
+      nextAllowedAt: 0
+    };
+  }
+  return queues[upstream];
+};
+
+// Seconds from a Retry-After header, if the upstream sent one
+const retryAfterMs = error => {
+  const seconds = parseInt(error.retryAfter, 10);
+  return Number.isNaN(seconds) ? 0 : seconds * 1000;
+};
+
+/**
+ * Run a request through the upstream's queue
+ * @param {string} upstream - 'nominatim' or 'overpass'
+ * @param {Function} request - Async function performing the request; errors may carry `status` and `retryAfter`
+ * @returns {Promise} - Resolves to the request's result
+ */
+function schedule(upstream, request) {
+  const queue = getQueue(upstream);
+  const { config } = queue;
+
+  const run = async () => {
+    for (let attempt = 0; ; attempt++) {
+      const wait = queue.nextAllowedAt - Date.now();
+      if (wait > 0) await sleep(wait);
+
+      try {
+        return await request();
+      } catch (error) {
+        if (!RETRYABLE_STATUSES.includes(error.status) || attempt >= config.maxRetries) {
+          throw error;
+        }
+        const backoff = Math.max(config.baseBackoffMs * 2 ** attempt, retryAfterMs(error));
+        console.warn(`${upstream} responded ${error.status}, retrying in ${backoff}ms`);
+        queue.nextAllowedAt = Date.now() + backoff;
+      } finally {
+        queue.nextAllowedAt = Math.max(queue.nextAllowedAt, Date.now() + config.minIntervalMs);
+      }
+    }
+  };
+
+  const result = queue.tail.then(run);
+  // Keep the chain alive whether or not this request failed
+  queue.tail = result.catch(() => {});
+  return result;
+}
+
+module.exports = {
+  schedule
+};
@@ -0,0 +1,229 @@
+// utils/savedSearchAlerts.js - Re-run saved searches and notify users about new or changed matches
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const { hybridSearch, getPaymentOptionKeys } = require('./facilitySearch');
+const { facilityKeyOf } = require('./facilityRefs');
+const { PAYMENT_OPTION_LABELS } = require('./paymentOptions');
+
+// How often the job runs; 0 disables it
+const DEFAULT_INTERVAL_MINUTES = 6 * 60;
+
+// A search that suddenly matches many new places (e.g. after an OSM import) shouldn't flood the inbox
+const MAX_NOTIFICATIONS_PER_SEARCH = 10;
+
+// Matches no longer returned are remembered so they don't count as new if they come back
+const MAX_REMEMBERED_MATCHES = 500;
+
+const describeOptions = keys => keys.map(key => PAYMENT_OPTION_LABELS[key] || key).join(', ');
+
+/**
+ * Run a saved search with its stored parameters
+ * @param {Object} savedSearch - SavedSearch document
+ * @param {Object} [options] - {locale} for labelling results
+ * @returns {Promise} - Resolves to the hybridSearch result
+ */
+function runSavedSearch(savedSearch, { locale } = {}) {
+  return hybridSearch({
+    location: savedSearch.location,
+    radius: savedSearch.radius,
+    units: savedSearch.units,
+    locale,
+    careType: savedSearch.careType,
+    paymentOptions: savedSearch.paymentOptions
+  });
+}
+
+// OSM element ID of a result, so a place keeps its identity when an OSM result becomes curated
+const osmIdOf = facility => (facility.source === 'osm' ? facilityKeyOf(facility) : facility.osmId || undefined);
+
+// Stored matches by key and by OSM ID
+const indexMatches = matches => {
+  const index = new Map();
+  matches.forEach(match => {
+    index.set(match.key, match);
+    if (match.osmId) index.set(match.osmId, match);
+  });
+  return index;
+};
+
+const findMatch = (index, match) => (match.osmId && index.get(match.osmId)) || index.get(match.key);
+
+/**
+ * Compare the matches from the last run with the current ones. Matches are the same place when
+ * their keys or OSM IDs agree, so "node/123" and its curated "facility/<id>" aren't reported as new.
+ * @param {Array} previous - Stored matches [{key, osmId, name, paymentOptions}]
+ * @param {Array} current - Current matches
+ * @returns {Array} - [{type: 'new_match'|'payment_options_changed', match, added, removed}]
+ */
+function diffMatches(previous, current) {
+  const known = indexMatches(previous);
+  const changes = [];
+
+  current.forEach(match => {
+    const before = findMatch(known, match);
+    if (!before) {
+      changes.push({ type: 'new_match', match });
+      return;
+    }
+
+    const added = match.paymentOptions.filter(key => !before.paymentOptions.includes(key));
+    const removed = before.paymentOptions.filter(key => !match.paymentOptions.includes(key));
+    if (added.length > 0 || removed.length > 0) {
+      changes.push({ type: 'payment_options_changed', match, added, removed });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Build the notification for one change
+ * @param {Object} savedSearch - SavedSearch document
+ * @param {Object} change - Entry from diffMatches
+ * @returns {Object} - Notification fields
+ */
+function toNotification(savedSearch, change) {
+  const { match } = change;
+  let message;
+
+  if (change.type === 'new_match') {
+    message = `${match.name} now matches your saved search "${savedSearch.name}".`;
+  } else {
+    const parts = [];
+    if (change.added.length > 0) parts.push(`now offers ${describeOptions(change.added)}`);
+    if (change.removed.length > 0) parts.push(`no longer lists ${describeOptions(change.removed)}`);
+    message = `${match.name} ${parts.join(' and ')} (saved search "${savedSearch.name}").`;
+  }
+
+  return {
+    user: savedSearch.user,
+    type: change.type,
+    message,
+    savedSearch: savedSearch._id,
+    facilityKey: match.key,
+    facilityName: match.name,
+    changes: change.type === 'payment_options_changed'
+      ? { added: change.added, removed: change.removed }
+      : undefined
+  };
+}
+
+/**
+ * Re-run one saved search, notify its owner about changes and store the new matches.
+ * The first run only records a baseline.
+ * @param {Object} savedSearch - SavedSearch document
+ * @returns {Promise} - Resolves to the number of notifications created
+ */
+async function checkSavedSearch(savedSearch) {
+  const result = await runSavedSearch(savedSearch);
+
+  // With a source down, everything it normally returns would look new on the next run
+  if (result.failedSources.length > 0) {
+    throw new Error(`Search sources unavailable: ${result.failedSources.join(', ')}`);
+  }
+
+  const current = result.providers.map(facility => ({
+    key: facilityKeyOf(facility),
+    osmId: osmIdOf(facility),
+    name: facility.name,
+    paymentOptions: getPaymentOptionKeys(facility)
+  }));
+
+  let notifications = [];
+  if (savedSearch.lastRunAt) {
+    const changes = diffMatches(savedSearch.matches, current);
+    notifications = changes
+      .slice(0, MAX_NOTIFICATIONS_PER_SEARCH)
+      .map(change => toNotification(savedSearch, change));
+
+    // Changes past the limit are counted on the last notification rather than dropped silently
+    const more = changes.length - notifications.length;
+    if (more > 0) {
+      const last = notifications[notifications.length - 1];
+      last.moreChanges = more;
+      last.message += ` +${more} more change(s) to this saved search.`;
+    }
+  }
+
+  if (notifications.length > 0) {
+    await Notification.insertMany(notifications);
+  }
+
+  const currentIndex = indexMatches(current);
+  const remembered = savedSearch.matches
+    .filter(match => !findMatch(currentIndex, match))
+    .map(match => ({
+      key: match.key,
+      osmId: match.osmId,
+      name: match.name,
+      paymentOptions: match.paymentOptions
+    }));
+
+  savedSearch.matches = [...current, ...remembered].slice(0, MAX_REMEMBERED_MATCHES);
+  savedSearch.lastRunAt = Date.now();
+  await savedSearch.save();
+
+  return notifications.length;
+}
+
+/**
+ * Check every saved search with alerts enabled, least recently run first
+ * @returns {Promise} - Resolves to {checked, failed, notifications}
+ */
+async function runSavedSearchAlerts() {
+  const summary = { checked: 0, failed: 0, notifications: 0 };
+  const cursor = SavedSearch.find({ alertsEnabled: true }).sort({ lastRunAt: 1 }).cursor();
+
+  // One at a time: the Nominatim/Overpass queue spaces requests out anyway
+  for await (const savedSearch of cursor) {
+    try {
+      summary.notifications += await checkSavedSearch(savedSearch);
+      summary.checked++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`Saved search ${savedSearch._id} alert error:`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Run the alert job on an interval
+ * @param {number} [intervalMinutes] - Defaults to SAVED_SEARCH_ALERT_INTERVAL_MINUTES or 6 hours; 0 disables
+ * @returns {Object|null} - Interval timer, or null when disabled
+ */
+function startSavedSearchAlerts(intervalMinutes) {
+  const envMinutes = parseInt(process.env.SAVED_SEARCH_ALERT_INTERVAL_MINUTES, 10);
+  const minutes = intervalMinutes !== undefined
+    ? intervalMinutes
+    : (Number.isNaN(envMinutes) ? DEFAULT_INTERVAL_MINUTES : envMinutes);
+  if (!(minutes > 0)) return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      const summary = await runSavedSearchAlerts();
+      console.log(`Saved search alerts: ${summary.checked} checked, ${summary.failed} failed, ${summary.notifications} notifications`);
+    } catch (error) {
+      console.error('Saved search alert job error:', error);
+    } finally {
+      running = false;
+    }
+  }, minutes * 60 * 1000);
+
+  // Don't keep the process alive just for the job
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  runSavedSearch,
+  diffMatches,
+  checkSavedSearch,
+  runSavedSearchAlerts,
+  startSavedSearchAlerts
+};
@@ -0,0 +1,151 @@
+// utils/searchTerms.js - Terms used across curated facilities, for typo expansion and autocomplete
+const Facility = require('../models/Facility');
+const { tokenize, soundKey, parseTextQuery, matchesQuery } = require('./textSearch');
+
+// Rebuilding the term lists reads the whole collection, so they are kept this long (ms)
+const TERMS_TTL = 10 * 60 * 1000;
+
+const MAX_SUGGESTIONS = 10;
+const DEFAULT_SUGGESTIONS = 8;
+
+// Facilities fetched per prefix lookup before the other query words narrow them down
+const FACILITY_CANDIDATES = 20;
+
+// Facilities nearer than this to the given point are suggested first
+const NEARBY_RADIUS_KM = 50;
+
+let terms = null;
+let termsExpireAt = 0;
+let pendingTerms = null;
+
+// Display entries with the keys of their words, e.g. {type: 'service', label: 'Dialysis', keys: ['dialisis']}
+const termEntries = (type, labels) => [...new Set(labels.filter(Boolean).map(label => label.trim()))]
+  .filter(Boolean)
+  .map(label => ({ type, label, keys: tokenize(label).map(soundKey) }));
+
+const loadTerms = async () => {
+  const active = { active: true };
+  const [vocabulary, services, procedures, cities, states] = await Promise.all([
+    Facility.distinct('searchKeys', active),
+    Facility.distinct('services', active),
+    Facility.distinct('procedureCosts.procedureName', active),
+    Facility.distinct('address.city', active),
+    Facility.distinct('address.state', active)
+  ]);
+
+  return {
+    vocabulary,
+    services: termEntries('service', [...services, ...procedures]),
+    places: termEntries('place', [...cities, ...states])
+  };
+};
+
+/**
+ * Cached term lists; concurrent callers share one rebuild
+ * @returns {Promise} - Resolves to {vocabulary: [key], services: [entry], places: [entry]}
+ */
+async function getSearchTerms() {
+  if (terms && termsExpireAt > Date.now()) return terms;
+
+  if (!pendingTerms) {
+    pendingTerms = loadTerms()
+      .then(loaded => {
+        terms = loaded;
+        termsExpireAt = Date.now() + TERMS_TTL;
+        return loaded;
+      })
+      .finally(() => {
+        pendingTerms = null;
+      });
+  }
+  return pendingTerms;
+}
+
+// Every earlier word matches fully; the word being typed only needs to start a key
+const entryMatches = (keys, query, prefix) =>
+  keys.some(key => key.startsWith(prefix)) &&
+  (query === null || matchesQuery(keys, query));
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseLimit = value => {
+  const limit = parseInt(value, 10);
+  return limit > 0 ? Math.min(limit, MAX_SUGGESTIONS) : DEFAULT_SUGGESTIONS;
+};
+
+/**
+ * Suggestions for a search box: facilities, services and places matching what has been typed
+ * @param {Object} options - {q, coords: {lat, lon} to favour nearby facilities, limit}
+ * @returns {Promise} - Resolves to [{type: 'facility'|'service'|'place', label, id?, city?, facilityType?}]
+ */
+async function autocomplete({ q, coords, limit }) {
+  const parsed = parseTextQuery(q);
+  const max = parseLimit(limit);
+  if (!parsed) return [];
+
+  // The last word may be unfinished; the ones before it are matched like a search
+  const words = parsed.words;
+  const prefix = soundKey(words[words.length - 1].word);
+  const query = words.length > 1 ? { ...parsed, words: words.slice(0, -1) } : null;
+
+  const filter = { active: true, searchKeys: { $regex: `^${escapeRegExp(prefix)}` } };
+  if (coords) {
+    filter.location = {
+      $near: {
+        $geometry: { type: 'Point', coordinates: [coords.lon, coords.lat] },
+        $maxDistance: NEARBY_RADIUS_KM * 1000
+      }
+    };
+  }
+
+  const [candidates, { services, places }] = await Promise.all([
+    Facility.find(filter)
+      .select('name facilityType address.city searchKeys')
+      .limit(FACILITY_CANDIDATES)
+      .lean(),
+    getSearchTerms()
+  ]);
+
+  const facilities = candidates
+    .filter(facility => entryMatches(facility.searchKeys, query, prefix))
+    .map(facility => ({
+      type: 'facility',
+      label: facility.name,
+      id: facility._id,
+      facilityType: facility.facilityType,
+      city: facility.address && facility.address.city
+    }));
+
+  const matchingTerms = entries => entries
+    .filter(entry => entryMatches(entry.keys, query, prefix))
+    .map(({ type, label }) => ({ type, label }));
+
+  // Share the list between the three kinds so one can't crowd out the others
+  const groups = [facilities, matchingTerms(services), matchingTerms(places)];
+  const suggestions = [];
+  for (let i = 0; suggestions.length < max && groups.some(group => group.length > i); i++) {
+    groups.forEach(group => {
+      if (group[i] && suggestions.length < max) suggestions.push(group[i]);
+    });
+  }
+  return suggestions;
+}
+
+/**
+ * Vocabulary keys for typo expansion; an empty list when the database can't be read
+ * @returns {Promise} - Resolves to an array of keys
+ */
+async function getSearchVocabulary() {
+  try {
+    return (await getSearchTerms()).vocabulary;
+  } catch (error) {
+    console.error('Search vocabulary error:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  getSearchTerms,
+  getSearchVocabulary,
+  autocomplete
+};
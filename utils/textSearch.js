@@ -0,0 +1,206 @@
+// utils/textSearch.js - Free-text matching for facility names, services and places
+//
+// Words are reduced to sound-alike keys so transliteration variants of Tamil names meet:
+// Thiruvanmiyur/Tiruvanmiyur, Kancheepuram/Kanchipuram and Apollo/Apolo all share a key. Keys
+// within a small edit distance also match, which covers most typos. Facilities store their keys
+// in Facility.searchKeys; OSM results have theirs computed on the fly.
+
+// OSM tags whose values are searched besides the name
+const SEARCH_TAG_KEYS = [
+  'alt_name',
+  'old_name',
+  'official_name',
+  'short_name',
+  'name:en',
+  'name:ta',
+  'operator',
+  'brand',
+  'healthcare:speciality',
+  'addr:city',
+  'addr:suburb'
+];
+
+// Older or colloquial place names that don't sound like the current one
+const PLACE_ALIASES = {
+  madras: 'chennai',
+  trichy: 'tiruchirappalli',
+  tiruchi: 'tiruchirappalli',
+  tanjore: 'thanjavur',
+  tuticorin: 'thoothukudi',
+  pondicherry: 'puducherry',
+  pondy: 'puducherry',
+  conjeevaram: 'kanchipuram',
+  kovai: 'coimbatore',
+  tinnevelly: 'tirunelveli',
+  chingleput: 'chengalpattu',
+  ooty: 'udhagamandalam',
+  ootacamund: 'udhagamandalam'
+};
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'of', 'for', 'in', 'at', 'near']);
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_WORDS = 8;
+
+// Vocabulary keys added per query word when expanding typos for the text index
+const MAX_EXPANSIONS = 10;
+
+/**
+ * Split text into lowercase words. Latin accents are dropped; other scripts such as Tamil are kept.
+ * @param {string} text - Any text
+ * @returns {Array} - Words
+ */
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Sound-alike key for a word, folding common romanisations of Tamil: aspirated consonants
+ * (th/t, dh/d, ch/c), zh/l, long vowels (ee/i, oo/u), y/i, w/v and doubled letters
+ * @param {string} word - Lowercase word from tokenize()
+ * @returns {string} - Key
+ */
+function soundKey(word) {
+  return word
+    .replace(/zh/g, 'l')
+    .replace(/([bcdgkpst])h/g, '$1')
+    .replace(/y/g, 'i')
+    .replace(/ee/g, 'i')
+    .replace(/ou/g, 'u')
+    .replace(/oo/g, 'u')
+    .replace(/w/g, 'v')
+    .replace(/(.)\1+/g, '$1');
+}
+
+// Keys a word stands for: its own, plus the current name's for old place names
+const wordKeys = word => {
+  const keys = [soundKey(word)];
+  if (PLACE_ALIASES[word]) keys.push(soundKey(PLACE_ALIASES[word]));
+  return keys;
+};
+
+// Typos tolerated for a key of this length
+const allowedEdits = key => (key.length >= 8 ? 2 : key.length >= 4 ? 1 : 0);
+
+/**
+ * Levenshtein distance, giving up once it exceeds a limit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} - Distance, or limit + 1 when greater than limit
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    if (Math.min(...current) > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Whether a query key matches a stored key, allowing for typos
+ * @param {string} queryKey - Key from the query
+ * @param {string} key - Key of a facility or vocabulary entry
+ * @returns {boolean}
+ */
+function keyMatches(queryKey, key) {
+  if (queryKey === key) return true;
+  const limit = allowedEdits(queryKey);
+  return limit > 0 && editDistance(queryKey, key, limit) <= limit;
+}
+
+/**
+ * Searchable keys of a facility: name, services, procedure names, city and selected OSM tags
+ * @param {Object} facility - Facility document, plain object or processed OSM result
+ * @returns {Array} - Unique keys
+ */
+function searchKeysFor(facility) {
+  const tags = facility.tags || {};
+  const texts = [
+    facility.name,
+    ...(facility.services || []),
+    ...(facility.procedureCosts || []).map(procedure => procedure.procedureName),
+    facility.address && typeof facility.address === 'object' ? facility.address.city : null,
+    ...SEARCH_TAG_KEYS.map(key => tags[key])
+  ];
+
+  const keys = texts.flatMap(tokenize).filter(word => !STOP_WORDS.has(word)).flatMap(wordKeys);
+  return [...new Set(keys)];
+}
+
+/**
+ * Parse a free-text query
+ * @param {string} q - Query such as "apolo dialysis"
+ * @returns {Object|null} - {text, words: [{word, keys}]}, or null when there is nothing to match
+ */
+function parseTextQuery(q) {
+  if (q === undefined || q === null) return null;
+
+  const text = String(q).trim();
+  if (text.length > MAX_QUERY_LENGTH) {
+    const error = new Error(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const words = [...new Set(tokenize(text).filter(word => !STOP_WORDS.has(word)))]
+    .slice(0, MAX_QUERY_WORDS)
+    .map(word => ({ word, keys: wordKeys(word) }));
+  return words.length > 0 ? { text, words } : null;
+}
+
+/**
+ * Whether a facility matches every word of a query
+ * @param {Array} keys - The facility's searchKeysFor() keys
+ * @param {Object} query - parseTextQuery() result
+ * @returns {boolean}
+ */
+function matchesQuery(keys, query) {
+  return query.words.every(({ keys: queryKeys }) =>
+    queryKeys.some(queryKey => keys.some(key => keyMatches(queryKey, key))));
+}
+
+/**
+ * Terms for a MongoDB $text search: the query words, their keys, and vocabulary keys close
+ * enough to be typos of them. $text matches any term; matchesQuery() narrows to every word.
+ * @param {Object} query - parseTextQuery() result
+ * @param {Array} vocabulary - Keys stored across facilities
+ * @returns {string} - Space-separated $search string
+ */
+function textSearchTerms(query, vocabulary = []) {
+  const terms = query.words.flatMap(({ word, keys }) => [
+    word,
+    ...keys,
+    ...vocabulary
+      .filter(key => !keys.includes(key) && keys.some(queryKey => keyMatches(queryKey, key)))
+      .slice(0, MAX_EXPANSIONS)
+  ]);
+  // Quotes and minus signs mean phrases and negation to $text
+  return [...new Set(terms)].map(term => term.replace(/["-]/g, '')).filter(Boolean).join(' ');
+}
+
+module.exports = {
+  tokenize,
+  soundKey,
+  keyMatches,
+  searchKeysFor,
+  parseTextQuery,
+  matchesQuery,
+  textSearchTerms
+};
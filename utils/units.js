@@ -0,0 +1,217 @@
+// utils/units.js - Request-level distance units, locale and currency labelling
+//
+// Everything is stored and computed in kilometres and in the facility's own currency;
+// conversion and formatting only happen when a response is built.
+
+const KM_PER_MILE = 1.609344;
+
+const DISTANCE_UNITS = ['km', 'mi'];
+
+const DEFAULT_UNITS = process.env.DEFAULT_UNITS || 'km';
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en-IN';
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'INR';
+
+const badRequest = message => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Validate the requested distance units
+ * @param {string} [units] - 'km' or 'mi'
+ * @returns {string} - Units to use
+ */
+function parseUnits(units) {
+  if (units === undefined || units === null || units === '') return DEFAULT_UNITS;
+  const normalized = String(units).toLowerCase();
+  if (!DISTANCE_UNITS.includes(normalized)) {
+    throw badRequest(`units must be one of: ${DISTANCE_UNITS.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Validate the requested locale, falling back to the default when it is not supported
+ * @param {string} [locale] - BCP 47 tag, e.g. 'en-US'
+ * @returns {string} - Locale to format with
+ */
+function parseLocale(locale) {
+  if (!locale) return DEFAULT_LOCALE;
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(String(locale));
+  } catch (error) {
+    throw badRequest('locale must be a valid language tag, e.g. en-IN');
+  }
+  return Intl.NumberFormat.supportedLocalesOf([canonical]).length > 0 ? canonical : DEFAULT_LOCALE;
+}
+
+/**
+ * Read units and locale from a request body or query string
+ * @param {Object} [params] - {units, locale}
+ * @returns {Object} - {units, locale}
+ */
+function parseUnitOptions({ units, locale } = {}) {
+  return {
+    units: parseUnits(units),
+    locale: parseLocale(locale)
+  };
+}
+
+/**
+ * Convert a distance in the given units to kilometres
+ * @param {number} distance - Distance
+ * @param {string} units - 'km' or 'mi'
+ * @returns {number} - Kilometres
+ */
+function toKilometers(distance, units) {
+  const value = Number(distance);
+  return units === 'mi' ? value * KM_PER_MILE : value;
+}
+
+/**
+ * Convert kilometres to the given units, rounded to 0.1
+ * @param {number} km - Kilometres
+ * @param {string} units - 'km' or 'mi'
+ * @returns {number} - Distance in units
+ */
+function fromKilometers(km, units) {
+  const value = units === 'mi' ? km / KM_PER_MILE : km;
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Format a distance given in kilometres, e.g. '3.2 mi'
+ * @param {number} km - Kilometres
+ * @param {string} units - 'km' or 'mi'
+ * @param {string} locale - Locale
+ * @returns {string}
+ */
+function formatDistance(km, units, locale) {
+  const unit = units === 'mi' ? 'mile' : 'kilometer';
+  return new Intl.NumberFormat(locale, {
+    style: 'unit',
+    unit,
+    unitDisplay: 'short',
+    maximumFractionDigits: 1
+  }).format(fromKilometers(km, units));
+}
+
+/**
+ * Format an amount of money, e.g. '₹1,200'
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code
+ * @param {string} locale - Locale
+ * @returns {string|undefined} - Undefined when there is no amount
+ */
+function formatMoney(amount, currency, locale) {
+  if (amount === undefined || amount === null) return undefined;
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: currency || DEFAULT_CURRENCY,
+    maximumFractionDigits: 0
+  }).format(amount);
+}
+
+/**
+ * Replace a km distance on a result with the requested units and a display label
+ * @param {Object} result - Search result with distance in km
+ * @param {Object} options - {units, locale}
+ * @returns {Object} - Result with distance, distanceUnits and distanceText
+ */
+function labelDistance(result, { units, locale }) {
+  if (typeof result.distance !== 'number') return result;
+  return {
+    ...result,
+    distance: fromKilometers(result.distance, units),
+    distanceUnits: units,
+    distanceText: formatDistance(result.distance, units, locale)
+  };
+}
+
+/**
+ * Label each procedure cost with its currency and formatted amounts
+ * @param {Array} procedureCosts - Facility procedureCosts
+ * @param {string} [facilityCurrency] - Facility currency used when an entry has none
+ * @param {string} locale - Locale
+ * @returns {Array} - Labelled procedure costs
+ */
+function labelProcedureCosts(procedureCosts = [], facilityCurrency, locale) {
+  return procedureCosts.map(cost => {
+    const currency = cost.currency || facilityCurrency || DEFAULT_CURRENCY;
+    return {
+      ...cost,
+      currency,
+      formatted: {
+        averageCost: formatMoney(cost.averageCost, currency, locale),
+        minCost: formatMoney(cost.minCost, currency, locale),
+        maxCost: formatMoney(cost.maxCost, currency, locale)
+      }
+    };
+  });
+}
+
+/**
+ * Add formatted amounts to an out-of-pocket estimate
+ * @param {Object} estimate - Result of estimateOutOfPocket
+ * @param {string} locale - Locale
+ * @returns {Object} - Estimate with formatted amounts
+ */
+function labelEstimate(estimate, locale) {
+  const currency = estimate.currency || DEFAULT_CURRENCY;
+  const range = estimate.patientPaysRange || {};
+  return {
+    ...estimate,
+    currency,
+    items: estimate.items.map(entry => ({
+      ...entry,
+      formatted: formatMoney(entry.amount, currency, locale)
+    })),
+    formatted: {
+      listPrice: formatMoney(estimate.listPrice, currency, locale),
+      insurancePays: formatMoney(estimate.insurancePays, currency, locale),
+      patientPays: formatMoney(estimate.patientPays, currency, locale),
+      patientPaysRange: {
+        min: formatMoney(range.min, currency, locale),
+        max: formatMoney(range.max, currency, locale)
+      }
+    }
+  };
+}
+
+/**
+ * Label a facility's costs with currency and the search distance with units
+ * @param {Object} facility - Search result or facility details
+ * @param {Object} options - {units, locale}
+ * @returns {Object} - Labelled facility
+ */
+function labelFacility(facility, options) {
+  const labelled = labelDistance(facility, options);
+  if (!facility.procedureCosts) return labelled;
+
+  const currency = facility.currency || DEFAULT_CURRENCY;
+  return {
+    ...labelled,
+    currency,
+    procedureCosts: labelProcedureCosts(facility.procedureCosts, currency, options.locale)
+  };
+}
+
+module.exports = {
+  DISTANCE_UNITS,
+  DEFAULT_UNITS,
+  DEFAULT_LOCALE,
+  DEFAULT_CURRENCY,
+  parseUnits,
+  parseLocale,
+  parseUnitOptions,
+  toKilometers,
+  fromKilometers,
+  formatDistance,
+  formatMoney,
+  labelDistance,
+  labelProcedureCosts,
+  labelEstimate,
+  labelFacility
+};